@@ -0,0 +1,57 @@
+import { createActivityDay, createActivityReport, createHourlyActivityReport, createSalesReport } from './data.js';
+import { HttpError } from './http.js';
+
+const GRANULARITIES = ['day', 'week', 'month', 'quarter', 'year'];
+const MAX_RANGE_DAYS = 10 * 366;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function parseDate(value, name) {
+  const time = Date.parse(`${value}T00:00:00Z`);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value || '') || Number.isNaN(time)) {
+    throw new HttpError(400, `${name} must be a date in YYYY-MM-DD format`);
+  }
+  return time;
+}
+
+// Reads the from/to query parameters, defaulting to the `defaultDays` days
+// up to and including today.
+function parseRange(query, defaultDays) {
+  const today = Date.parse(`${new Date().toISOString().slice(0, 10)}T00:00:00Z`);
+  const to = query.get('to') ? parseDate(query.get('to'), 'to') : today;
+  const from = query.get('from') ? parseDate(query.get('from'), 'from') : to - (defaultDays - 1) * DAY_MS;
+
+  if (from > to) throw new HttpError(400, 'from must not be after to');
+  if ((to - from) / DAY_MS > MAX_RANGE_DAYS) throw new HttpError(400, 'Date range is limited to 10 years');
+  return { from, to };
+}
+
+function getSales({ query }) {
+  const { from, to } = parseRange(query, 365);
+  const granularity = query.get('granularity') || 'month';
+
+  if (!GRANULARITIES.includes(granularity)) {
+    throw new HttpError(400, `granularity must be one of ${GRANULARITIES.join(', ')}`);
+  }
+
+  return createSalesReport({ from, to, granularity });
+}
+
+function getActivity({ query }) {
+  return createActivityReport(parseRange(query, 12 * 7));
+}
+
+function getHourlyActivity({ query }) {
+  return createHourlyActivityReport(parseRange(query, 12 * 7));
+}
+
+function getActivityDay({ params, query }) {
+  const limit = Math.min(Math.max(Number(query.get('limit')) || 100, 1), 500);
+  return createActivityDay(parseDate(params.date, 'date'), { limit });
+}
+
+export const analyticsRoutes = [
+  { method: 'GET', path: '/sales', permission: 'sales:read', handler: getSales },
+  { method: 'GET', path: '/activity', permission: 'activity:read', handler: getActivity },
+  { method: 'GET', path: '/activity/hourly', permission: 'activity:read', handler: getHourlyActivity },
+  { method: 'GET', path: '/activity/days/:date', permission: 'activity:read', handler: getActivityDay },
+];
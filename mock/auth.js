@@ -0,0 +1,119 @@
+import { createHmac, randomBytes, timingSafeEqual } from 'node:crypto';
+import { HttpError } from './http.js';
+
+const SECRET = process.env.MOCK_AUTH_SECRET || 'dashboard-mock-secret';
+const ACCESS_TOKEN_TTL = 5 * 60;
+const REFRESH_TOKEN_TTL = 7 * 24 * 60 * 60;
+
+const ROLE_PERMISSIONS = {
+  admin: ['sales:read', 'activity:read', 'users:read', 'users:write', 'workspace:read', 'workspace:write'],
+  finance: ['sales:read', 'activity:read', 'workspace:read'],
+  viewer: ['activity:read', 'workspace:read'],
+};
+
+const accounts = [
+  { id: 1, email: 'admin@example.com', password: 'admin123', name: 'Ada Admin', roles: ['admin'] },
+  { id: 2, email: 'finance@example.com', password: 'finance123', name: 'Frank Finance', roles: ['finance'] },
+  { id: 3, email: 'viewer@example.com', password: 'viewer123', name: 'Vera Viewer', roles: ['viewer'] },
+];
+
+function permissionsFor(roles) {
+  return [...new Set(roles.flatMap(role => ROLE_PERMISSIONS[role] || []))];
+}
+
+// Refresh tokens are opaque and rotated on every use.
+const refreshTokens = new Map();
+
+const base64url = (input) => Buffer.from(input).toString('base64url');
+
+function sign(data) {
+  return createHmac('sha256', SECRET).update(data).digest('base64url');
+}
+
+function createAccessToken(account) {
+  const now = Math.floor(Date.now() / 1000);
+  const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const payload = base64url(JSON.stringify({
+    sub: String(account.id),
+    email: account.email,
+    name: account.name,
+    roles: account.roles,
+    permissions: permissionsFor(account.roles),
+    iat: now,
+    exp: now + ACCESS_TOKEN_TTL,
+  }));
+  return `${header}.${payload}.${sign(`${header}.${payload}`)}`;
+}
+
+export function verifyAccessToken(token) {
+  const [header, payload, signature] = (token || '').split('.');
+  if (!header || !payload || !signature) return null;
+
+  const expected = Buffer.from(sign(`${header}.${payload}`));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) return null;
+
+  const claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+  return claims.exp * 1000 > Date.now() ? claims : null;
+}
+
+// Resolves the bearer token on a request to its claims, rejecting the
+// request if it is missing, invalid or lacks the given permission.
+export function authenticate(req, permission) {
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+  const claims = scheme === 'Bearer' ? verifyAccessToken(token) : null;
+  if (!claims) throw new HttpError(401, 'Authentication required');
+  if (permission && !claims.permissions?.includes(permission)) {
+    throw new HttpError(403, 'You do not have permission to perform this action');
+  }
+  return claims;
+}
+
+function publicUser(account) {
+  return {
+    id: account.id,
+    email: account.email,
+    name: account.name,
+    roles: account.roles,
+    permissions: permissionsFor(account.roles),
+  };
+}
+
+function issueSession(account) {
+  const refreshToken = randomBytes(32).toString('base64url');
+  refreshTokens.set(refreshToken, { accountId: account.id, expiresAt: Date.now() + REFRESH_TOKEN_TTL * 1000 });
+  return {
+    accessToken: createAccessToken(account),
+    refreshToken,
+    user: publicUser(account),
+  };
+}
+
+function login({ body }) {
+  const { email, password } = body;
+  if (!email || !password) throw new HttpError(400, 'Email and password are required');
+
+  const account = accounts.find(a => a.email === String(email).toLowerCase());
+  if (!account || account.password !== password) throw new HttpError(401, 'Incorrect email or password');
+  return issueSession(account);
+}
+
+function refresh({ body }) {
+  const stored = refreshTokens.get(body.refreshToken);
+  refreshTokens.delete(body.refreshToken);
+  if (!stored || stored.expiresAt < Date.now()) throw new HttpError(401, 'Session expired, please sign in again');
+
+  const account = accounts.find(a => a.id === stored.accountId);
+  if (!account) throw new HttpError(401, 'Account no longer exists');
+  return issueSession(account);
+}
+
+function logout({ body }) {
+  refreshTokens.delete(body.refreshToken);
+}
+
+export const authRoutes = [
+  { method: 'POST', path: '/auth/login', handler: login },
+  { method: 'POST', path: '/auth/refresh', handler: refresh },
+  { method: 'POST', path: '/auth/logout', handler: logout },
+];
@@ -0,0 +1,323 @@
+// Deterministic fixtures for the mock API. Everything is derived from a
+// seeded PRNG so the dashboard looks the same on every start.
+
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const pick = (random, list) => list[Math.floor(random() * list.length)];
+const between = (random, min, max) => min + Math.floor(random() * (max - min + 1));
+
+const FIRST_NAMES = ['Leanne', 'Ervin', 'Clementine', 'Patricia', 'Chelsey', 'Dennis', 'Kurtis', 'Nicholas', 'Glenna', 'Clementina', 'Marcus', 'Priya', 'Tomas', 'Aiko', 'Fatima', 'Oliver'];
+const LAST_NAMES = ['Graham', 'Howell', 'Bauch', 'Lebsack', 'Dietrich', 'Schulist', 'Weissnat', 'Runolfsdottir', 'Reichert', 'DuBuque', 'Okafor', 'Nakamura'];
+const CITIES = ['Gwenborough', 'Wisokyburgh', 'McKenziehaven', 'South Elvis', 'Roscoeview', 'South Christy', 'Howemouth', 'Aliyaview', 'Bartholomebury', 'Lebsackbury'];
+const STREETS = ['Kulas Light', 'Victor Plains', 'Douglas Extension', 'Hoeger Mall', 'Skiles Walks', 'Norberto Crossing', 'Rex Trail', 'Ellsworth Summit'];
+const COMPANIES = [
+  { name: 'Romaguera-Crona', catchPhrase: 'Multi-layered client-server neural-net', bs: 'harness real-time e-markets' },
+  { name: 'Deckow-Crist', catchPhrase: 'Proactive didactic contingency', bs: 'synergize scalable supply-chains' },
+  { name: 'Robel-Corkery', catchPhrase: 'Face to face bifurcated interface', bs: 'e-enable strategic applications' },
+  { name: 'Keebler LLC', catchPhrase: 'User-centric fault-tolerant solution', bs: 'revolutionize end-to-end systems' },
+  { name: 'Considine-Lockman', catchPhrase: 'Synchronised bottom-line interface', bs: 'e-enable innovative applications' },
+  { name: 'Johns Group', catchPhrase: 'Configurable multimedia task-force', bs: 'generate enterprise e-tailers' },
+];
+const WORDS = 'lorem ipsum dolor sit amet consectetur adipiscing elit sed do eiusmod tempor incididunt ut labore et dolore magna aliqua enim minim veniam quis nostrud exercitation ullamco laboris nisi aliquip commodo consequat'.split(' ');
+
+function sentence(random, min, max) {
+  return Array.from({ length: between(random, min, max) }, () => pick(random, WORDS)).join(' ');
+}
+
+function createUser(id) {
+  const random = createRandom(id * 7919);
+  const first = pick(random, FIRST_NAMES);
+  const last = pick(random, LAST_NAMES);
+  const username = `${first}.${last}`.toLowerCase();
+  return {
+    id,
+    name: `${first} ${last}`,
+    username,
+    email: `${username}${id}@example.com`,
+    address: {
+      street: pick(random, STREETS),
+      suite: `Apt. ${between(random, 100, 999)}`,
+      city: pick(random, CITIES),
+      zipcode: String(between(random, 10000, 99999)),
+    },
+    phone: `1-${between(random, 200, 999)}-${between(random, 200, 999)}-${between(random, 1000, 9999)}`,
+    website: `${last.toLowerCase()}.example.com`,
+    company: { ...pick(random, COMPANIES) },
+  };
+}
+
+function createUserResources(userId) {
+  const random = createRandom(userId * 104729);
+  const posts = Array.from({ length: between(random, 4, 10) }, () => ({
+    userId,
+    title: sentence(random, 3, 8),
+    body: sentence(random, 20, 40),
+  }));
+  const todos = Array.from({ length: between(random, 8, 20) }, () => ({
+    userId,
+    title: sentence(random, 3, 7),
+    completed: random() < 0.45,
+  }));
+  const albums = Array.from({ length: between(random, 3, 8) }, () => ({
+    userId,
+    title: sentence(random, 2, 6),
+  }));
+  return { posts, todos, albums };
+}
+
+export function createDatabase(userCount = 24) {
+  const users = Array.from({ length: userCount }, (_, i) => createUser(i + 1));
+  const resources = { posts: [], todos: [], albums: [] };
+  users.forEach(user => {
+    const owned = createUserResources(user.id);
+    Object.keys(resources).forEach(key => {
+      owned[key].forEach(item => resources[key].push({ id: resources[key].length + 1, ...item }));
+    });
+  });
+  return { users, ...resources, nextUserId: userCount + 1 };
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SALES_EPOCH = Date.UTC(2020, 0, 1);
+const MONTHLY_SEASONALITY = [0.86, 0.9, 0.97, 1.0, 1.02, 1.05, 0.98, 0.96, 1.04, 1.08, 1.12, 1.22];
+
+// Revenue and expenses for a single UTC day. Each day is seeded by its own
+// index so any range of the series can be generated independently.
+function dailySales(time) {
+  const date = new Date(time);
+  const index = Math.round((time - SALES_EPOCH) / DAY_MS);
+  const random = createRandom(index + 1);
+  const weekend = date.getUTCDay() === 0 || date.getUTCDay() === 6;
+  const trend = 1100 + index * 0.9;
+  const revenue = trend * MONTHLY_SEASONALITY[date.getUTCMonth()] * (weekend ? 0.6 : 1.1) * (0.85 + random() * 0.3);
+  const expenses = revenue * (0.58 + random() * 0.14) + 150;
+  return { revenue: Math.round(revenue), expenses: Math.round(expenses) };
+}
+
+function periodStart(time, granularity) {
+  const date = new Date(time);
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth();
+  switch (granularity) {
+    case 'week':
+      // Weeks start on Monday.
+      return time - ((date.getUTCDay() + 6) % 7) * DAY_MS;
+    case 'month':
+      return Date.UTC(year, month, 1);
+    case 'quarter':
+      return Date.UTC(year, month - (month % 3), 1);
+    case 'year':
+      return Date.UTC(year, 0, 1);
+    default:
+      return time;
+  }
+}
+
+function toISODate(time) {
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+const parseDay = (date) => Date.parse(`${date}T00:00:00Z`);
+
+// Figures added by the live-update simulator (see live.js) on top of the
+// seeded ones, keyed by YYYY-MM-DD, so later requests include them.
+const liveSales = new Map();
+const liveActivity = new Map();
+
+// Sums daily figures into periods of the requested granularity. The first
+// and last periods are clipped to the range, so they may be partial.
+export function createSalesReport({ from, to, granularity }) {
+  const periods = [];
+  const revenue = [];
+  const expenses = [];
+  let current = null;
+
+  for (let time = from; time <= to; time += DAY_MS) {
+    const start = Math.max(periodStart(time, granularity), from);
+    if (start !== current) {
+      current = start;
+      periods.push(toISODate(start));
+      revenue.push(0);
+      expenses.push(0);
+    }
+    const day = dailySales(time);
+    const live = liveSales.get(toISODate(time));
+    revenue[revenue.length - 1] += day.revenue + (live?.revenue ?? 0);
+    expenses[expenses.length - 1] += day.expenses + (live?.expenses ?? 0);
+  }
+
+  return { from: toISODate(from), to: toISODate(to), granularity, periods, revenue, expenses };
+}
+
+// Activity count for a single UTC day, seeded per day like dailySales.
+// Usage grows over time and has the occasional spike (releases, campaigns),
+// so counts are skewed and unbounded rather than a tidy 0-100.
+function dailyActivity(time) {
+  const index = Math.round((time - SALES_EPOCH) / DAY_MS);
+  const random = createRandom((index + 1) * 2654435761);
+  const weekday = new Date(time).getUTCDay();
+  const weekend = weekday === 0 || weekday === 6;
+  if (random() < 0.05) return 0;
+  const trend = 40 + index * 0.1;
+  const spike = random() < 0.03 ? 3 + random() * 4 : 1;
+  return Math.floor(trend * (weekend ? 0.3 : 1) * (0.4 + random() * 1.2) * spike);
+}
+
+// Relative share of a day's activity falling in each hour, before noise.
+const HOURLY_PROFILE = {
+  weekday: [1, 0.5, 0.3, 0.2, 0.2, 0.4, 1, 2.5, 5, 7, 8, 7.5, 6, 6.5, 7.5, 7, 6, 4.5, 3, 2.5, 2, 1.8, 1.5, 1.2],
+  weekend: [1.5, 1, 0.6, 0.4, 0.3, 0.3, 0.5, 1, 2, 3.5, 5, 6, 6.5, 6, 5.5, 5, 4.5, 4, 3.5, 3, 2.5, 2.2, 2, 1.8],
+};
+
+// Splits a day's count across its 24 hours; the hours always sum to the
+// daily figure.
+function hourlyActivity(time) {
+  const count = dailyActivity(time);
+  const index = Math.round((time - SALES_EPOCH) / DAY_MS);
+  const random = createRandom((index + 1) * 40503);
+  const weekday = new Date(time).getUTCDay();
+  const profile = weekday === 0 || weekday === 6 ? HOURLY_PROFILE.weekend : HOURLY_PROFILE.weekday;
+  const weights = profile.map(weight => weight * (0.7 + random() * 0.6));
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  const hours = weights.map(weight => Math.floor((count * weight) / totalWeight));
+  const busiest = weights.indexOf(Math.max(...weights));
+  hours[busiest] += count - hours.reduce((sum, value) => sum + value, 0);
+  return hours;
+}
+
+// Activity summed per weekday (0 = Sunday) and hour over the range, plus
+// how many of each weekday the range contains so callers can average.
+export function createHourlyActivityReport({ from, to }) {
+  const hours = Array.from({ length: 7 }, () => Array(24).fill(0));
+  const days = Array(7).fill(0);
+  for (let time = from; time <= to; time += DAY_MS) {
+    const weekday = new Date(time).getUTCDay();
+    days[weekday]++;
+    hourlyActivity(time).forEach((count, hour) => {
+      hours[weekday][hour] += count;
+    });
+    liveActivity.get(toISODate(time))?.forEach(event => {
+      hours[weekday][new Date(event.time).getUTCHours()]++;
+    });
+  }
+  return { from: toISODate(from), to: toISODate(to), days, hours };
+}
+
+const ACTIVITY_TYPES = [
+  { type: 'page_view', label: 'Page view', weight: 0.45 },
+  { type: 'login', label: 'Sign-in', weight: 0.18 },
+  { type: 'comment', label: 'Comment', weight: 0.12 },
+  { type: 'upload', label: 'File upload', weight: 0.1 },
+  { type: 'export', label: 'Report export', weight: 0.08 },
+  { type: 'settings', label: 'Settings change', weight: 0.07 },
+];
+const ACTIVITY_USER_COUNT = 24;
+
+function pickWeighted(random, items, weightOf) {
+  let roll = random() * items.reduce((sum, item) => sum + weightOf(item), 0);
+  return items.find(item => (roll -= weightOf(item)) < 0) ?? items[items.length - 1];
+}
+
+// Events are attributed to the seeded demo users, a few of whom are much
+// more active than the rest.
+function activityUsers() {
+  return Array.from({ length: ACTIVITY_USER_COUNT }, (_, i) => {
+    const user = createUser(i + 1);
+    return { id: user.id, name: user.name, weight: 1 / (i + 1) };
+  });
+}
+
+function createActivityEvent(random, time, users) {
+  const { type } = pickWeighted(random, ACTIVITY_TYPES, t => t.weight);
+  const user = pickWeighted(random, users, u => u.weight);
+  return { time, type, userId: user.id, name: user.name };
+}
+
+const formatEvent = (event, id) => ({
+  id,
+  time: new Date(event.time).toISOString(),
+  type: event.type,
+  userId: event.userId,
+  name: event.name,
+});
+
+// The individual events behind a day's count, spread over the day the same
+// way hourlyActivity does.
+export function createActivityDay(time, { limit = 100 } = {}) {
+  const index = Math.round((time - SALES_EPOCH) / DAY_MS);
+  const random = createRandom((index + 1) * 69069);
+  const users = activityUsers();
+  const events = [];
+
+  hourlyActivity(time).forEach((count, hour) => {
+    for (let i = 0; i < count; i++) {
+      events.push(createActivityEvent(random, time + hour * 60 * 60 * 1000 + Math.floor(random() * 60 * 60 * 1000), users));
+    }
+  });
+  events.push(...(liveActivity.get(toISODate(time)) ?? []));
+  events.sort((a, b) => b.time - a.time);
+
+  const typeCounts = new Map(ACTIVITY_TYPES.map(t => [t.type, 0]));
+  const userCounts = new Map();
+  events.forEach(event => {
+    typeCounts.set(event.type, typeCounts.get(event.type) + 1);
+    userCounts.set(event.userId, (userCounts.get(event.userId) ?? 0) + 1);
+  });
+
+  return {
+    date: toISODate(time),
+    total: events.length,
+    byType: ACTIVITY_TYPES
+      .map(({ type, label }) => ({ type, label, count: typeCounts.get(type) }))
+      .sort((a, b) => b.count - a.count),
+    byUser: users
+      .filter(user => userCounts.has(user.id))
+      .map(user => ({ userId: user.id, name: user.name, count: userCounts.get(user.id) }))
+      .sort((a, b) => b.count - a.count),
+    events: events.slice(0, limit).map((event, i) => formatEvent(event, event.id ?? `${index}-${i}`)),
+  };
+}
+
+export function createActivityReport({ from, to }) {
+  const records = [];
+  for (let time = from; time <= to; time += DAY_MS) {
+    const date = toISODate(time);
+    records.push({ date, count: dailyActivity(time) + (liveActivity.get(date)?.length ?? 0) });
+  }
+  return { from: toISODate(from), to: toISODate(to), records };
+}
+
+let nextLiveEventId = 1;
+
+// Adds `count` events happening at `time`. Returns the new events along
+// with the day's updated total.
+export function recordActivity(time, count) {
+  const date = toISODate(time);
+  const users = activityUsers();
+  const added = Array.from({ length: count }, () => ({ ...createActivityEvent(Math.random, time, users), id: `live-${nextLiveEventId++}` }));
+  liveActivity.set(date, [...(liveActivity.get(date) ?? []), ...added]);
+  return {
+    date,
+    count: dailyActivity(parseDay(date)) + liveActivity.get(date).length,
+    events: added.map(event => formatEvent(event, event.id)),
+  };
+}
+
+// Adds a sale made at `time`, returning the amounts added.
+export function recordSale(time) {
+  const date = toISODate(time);
+  const revenue = 40 + Math.round(Math.random() * 360);
+  const expenses = Math.round(revenue * (0.55 + Math.random() * 0.15));
+  const live = liveSales.get(date) ?? { revenue: 0, expenses: 0 };
+  liveSales.set(date, { revenue: live.revenue + revenue, expenses: live.expenses + expenses });
+  return { date, revenue, expenses };
+}
@@ -0,0 +1,77 @@
+import { authenticate } from './auth.js';
+import { recordActivity, recordSale } from './data.js';
+
+// Live updates as Server-Sent Events on GET /api/live. Every event has an
+// increasing id; a client reconnecting with Last-Event-ID gets what it
+// missed replayed, or a `resync` event if that is no longer in the history.
+// While anyone is connected, simulated activity and sales are published
+// every few seconds so the dashboard has something to show.
+
+const HEARTBEAT_INTERVAL = 15000;
+const SIMULATION_INTERVAL = Number(process.env.MOCK_LIVE_INTERVAL ?? 5000);
+const HISTORY_SIZE = 200;
+
+const clients = new Set();
+const history = [];
+let nextEventId = 1;
+let simulation = null;
+
+function send(client, event) {
+  if (event.permission && !client.claims.permissions?.includes(event.permission)) return;
+  client.res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+}
+
+// Only clients whose token carries `permission` receive the event.
+export function publish(type, data, permission) {
+  const event = { id: nextEventId++, type, data, permission };
+  history.push(event);
+  if (history.length > HISTORY_SIZE) history.shift();
+  clients.forEach(client => send(client, event));
+}
+
+function simulate() {
+  const now = Date.now();
+  if (Math.random() < 0.8) publish('activity', recordActivity(now, 1 + Math.floor(Math.random() * 3)), 'activity:read');
+  if (Math.random() < 0.3) publish('sales', recordSale(now), 'sales:read');
+}
+
+function replay(client, lastEventId) {
+  const oldest = history[0]?.id ?? nextEventId;
+  // Ids restart with the dev server, so one from the future means the
+  // client is talking to a new process.
+  if (lastEventId + 1 < oldest || lastEventId >= nextEventId) {
+    client.res.write(`id: ${nextEventId - 1}\nevent: resync\ndata: {}\n\n`);
+    return;
+  }
+  history.filter(event => event.id > lastEventId).forEach(event => send(client, event));
+}
+
+function streamLiveUpdates({ req, res }) {
+  const client = { res, claims: authenticate(req) };
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+  });
+  res.write(': connected\n\n');
+
+  const lastEventId = Number(req.headers['last-event-id']);
+  if (lastEventId) replay(client, lastEventId);
+
+  clients.add(client);
+  simulation ??= setInterval(simulate, SIMULATION_INTERVAL);
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    clients.delete(client);
+    if (!clients.size) {
+      clearInterval(simulation);
+      simulation = null;
+    }
+  });
+}
+
+export const liveRoutes = [
+  { method: 'GET', path: '/live', stream: true, handler: streamLiveUpdates },
+];
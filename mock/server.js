@@ -0,0 +1,62 @@
+import { analyticsRoutes } from './analytics.js';
+import { authenticate, authRoutes } from './auth.js';
+import { readBody, sendJson } from './http.js';
+import { liveRoutes } from './live.js';
+import { userRoutes } from './users.js';
+import { workspaceRoutes } from './workspace.js';
+
+const API_PREFIX = '/api';
+// Simulated network latency so loading states are visible during development.
+const RESPONSE_DELAY = Number(process.env.MOCK_API_DELAY ?? 300);
+
+function compile(route) {
+  const pattern = route.path.replace(/:(\w+)/g, '(?<$1>[^/]+)');
+  return { ...route, pattern: new RegExp(`^${pattern}$`) };
+}
+
+const routes = [...authRoutes, ...userRoutes, ...analyticsRoutes, ...workspaceRoutes, ...liveRoutes].map(compile);
+
+function matchRoute(method, path) {
+  for (const route of routes) {
+    const match = route.method === method && route.pattern.exec(path);
+    if (match) return { route, params: match.groups || {} };
+  }
+  return null;
+}
+
+async function handle(req, res, next) {
+  const url = new URL(req.url, 'http://localhost');
+  if (!url.pathname.startsWith(API_PREFIX)) return next();
+
+  const path = url.pathname.slice(API_PREFIX.length);
+  const matched = matchRoute(req.method, path);
+  if (!matched) return sendJson(res, 404, { message: `No mock route for ${req.method} ${url.pathname}` });
+
+  const { route, params } = matched;
+  try {
+    // Streaming routes write the response themselves and keep it open.
+    if (route.stream) return route.handler({ req, res, params, query: url.searchParams });
+
+    if (RESPONSE_DELAY) await new Promise(resolve => setTimeout(resolve, RESPONSE_DELAY));
+    const user = route.permission ? authenticate(req, route.permission) : null;
+    const body = req.method === 'GET' ? {} : await readBody(req);
+    const result = await route.handler({ req, res, body, params, user, query: url.searchParams });
+    sendJson(res, result === undefined ? 204 : route.status || 200, result);
+  } catch (err) {
+    sendJson(res, err.status || 500, { message: err.message || 'Internal server error' });
+  }
+}
+
+// Serves the stand-in backend from the Vite dev and preview servers so the
+// dashboard can be run without any external services.
+export function mockApi() {
+  return {
+    name: 'dashboard-mock-api',
+    configureServer(server) {
+      server.middlewares.use(handle);
+    },
+    configurePreviewServer(server) {
+      server.middlewares.use(handle);
+    },
+  };
+}
@@ -0,0 +1,99 @@
+import { createDatabase } from './data.js';
+import { HttpError } from './http.js';
+import { publish } from './live.js';
+
+const db = createDatabase();
+
+const getField = (obj, path) => path.split('.').reduce((value, key) => value?.[key], obj);
+
+function findUser(id) {
+  const user = db.users.find(u => String(u.id) === id);
+  if (!user) throw new HttpError(404, `User ${id} not found`);
+  return user;
+}
+
+function validateUser(body, currentId) {
+  if (!body.name?.trim()) throw new HttpError(422, 'Name is required');
+  if (!body.email?.trim()) throw new HttpError(422, 'Email is required');
+  const email = body.email.trim().toLowerCase();
+  if (db.users.some(u => u.id !== currentId && u.email.toLowerCase() === email)) {
+    throw new HttpError(409, 'Another user already has this email');
+  }
+}
+
+// The fields `q` searches, the same ones the dashboard filters on when it
+// pages through the list itself.
+const SEARCH_FIELDS = ['name', 'email', 'company.name'];
+
+// Supports the json-server style parameters the dashboard sends:
+// q, <field>_like, _sort, _order, _page and _limit.
+function listUsers({ query, res }) {
+  let users = [...db.users];
+
+  const q = query.get('q')?.toLowerCase();
+  if (q) users = users.filter(u => SEARCH_FIELDS.some(field => String(getField(u, field) ?? '').toLowerCase().includes(q)));
+
+  for (const [key, value] of query) {
+    if (!key.endsWith('_like') || !value) continue;
+    const field = key.slice(0, -'_like'.length);
+    users = users.filter(u => String(getField(u, field) ?? '').toLowerCase().includes(value.toLowerCase()));
+  }
+
+  const sort = query.get('_sort');
+  if (sort) {
+    const direction = query.get('_order') === 'desc' ? -1 : 1;
+    users.sort((a, b) => String(getField(a, sort) ?? '').localeCompare(String(getField(b, sort) ?? '')) * direction);
+  }
+
+  const page = Number(query.get('_page'));
+  if (!page) return users;
+
+  const limit = Number(query.get('_limit')) || 10;
+  res.setHeader('X-Total-Count', String(users.length));
+  res.setHeader('Access-Control-Expose-Headers', 'X-Total-Count');
+  return users.slice((page - 1) * limit, page * limit);
+}
+
+function getUser({ params }) {
+  return findUser(params.id);
+}
+
+function getUserResource(resource) {
+  return ({ params }) => {
+    const user = findUser(params.id);
+    return db[resource].filter(item => item.userId === user.id);
+  };
+}
+
+function createUser({ body }) {
+  validateUser(body);
+  const user = { ...body, id: db.nextUserId++ };
+  db.users.push(user);
+  publish('user.created', { user }, 'users:read');
+  return user;
+}
+
+function updateUser({ params, body }) {
+  const user = findUser(params.id);
+  validateUser(body, user.id);
+  Object.assign(user, body, { id: user.id });
+  publish('user.updated', { user }, 'users:read');
+  return user;
+}
+
+function deleteUser({ params }) {
+  const user = findUser(params.id);
+  db.users = db.users.filter(u => u !== user);
+  publish('user.deleted', { id: user.id }, 'users:read');
+}
+
+export const userRoutes = [
+  { method: 'GET', path: '/users', permission: 'users:read', handler: listUsers },
+  { method: 'POST', path: '/users', permission: 'users:write', status: 201, handler: createUser },
+  { method: 'GET', path: '/users/:id', permission: 'users:read', handler: getUser },
+  { method: 'PUT', path: '/users/:id', permission: 'users:write', handler: updateUser },
+  { method: 'DELETE', path: '/users/:id', permission: 'users:write', handler: deleteUser },
+  { method: 'GET', path: '/users/:id/posts', permission: 'users:read', handler: getUserResource('posts') },
+  { method: 'GET', path: '/users/:id/todos', permission: 'users:read', handler: getUserResource('todos') },
+  { method: 'GET', path: '/users/:id/albums', permission: 'users:read', handler: getUserResource('albums') },
+];
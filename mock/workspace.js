@@ -0,0 +1,30 @@
+import { HttpError } from './http.js';
+import { publish } from './live.js';
+
+// Workspace-wide settings. Sales figures are stored in the workspace's
+// currency; changing it relabels them rather than converting anything.
+const workspace = {
+  name: 'Acme Inc.',
+  currency: 'USD',
+};
+
+const CURRENCIES = new Set(Intl.supportedValuesOf('currency'));
+
+function getWorkspace() {
+  return workspace;
+}
+
+function updateWorkspace({ body }) {
+  const currency = String(body.currency ?? workspace.currency).toUpperCase();
+  if (!CURRENCIES.has(currency)) throw new HttpError(422, `${currency} is not a supported currency`);
+  const name = body.name === undefined ? workspace.name : String(body.name).trim();
+  if (!name) throw new HttpError(422, 'Name is required');
+  Object.assign(workspace, { name, currency });
+  publish('workspace.updated', { workspace }, 'workspace:read');
+  return workspace;
+}
+
+export const workspaceRoutes = [
+  { method: 'GET', path: '/workspace', permission: 'workspace:read', handler: getWorkspace },
+  { method: 'PUT', path: '/workspace', permission: 'workspace:write', handler: updateWorkspace },
+];
@@ -1,45 +1,177 @@
-import { createContext, useContext, useState } from 'react';
-import { Users, AlertCircle, Loader2, RefreshCw, CheckCircle, LogOut, Lock, TrendingUp, BarChart3, UserCircle, Activity } from 'lucide-react';
-import { QueryClient, QueryClientProvider, useQuery } from '@tanstack/react-query';
-import { Line } from 'react-chartjs-2';
+import { createContext, memo, useCallback, useContext, useEffect, useMemo, useRef, useState, useSyncExternalStore } from 'react';
+import { Users, AlertCircle, WifiOff, Palette, Languages, Settings, Loader2, RefreshCw, CheckCircle, LogOut, Lock, ArrowLeft, Phone, Globe, MapPin, Building2, FileText, ListTodo, ImageIcon, Circle, Search, X, ChevronLeft, ChevronRight, Pencil, Trash2, UserPlus, Clock, ShieldOff, TrendingUp, BarChart3, UserCircle, Activity, ChartArea, ChartColumn, ChartColumnStacked, ChartLine, ChartNoAxesCombined, ZoomOut, Download, FileDown, CalendarDays, GripVertical, ArrowUp, ArrowDown, EyeOff, Plus, RotateCcw, LayoutGrid, Check } from 'lucide-react';
+import { keepPreviousData, onlineManager, QueryClient, useIsRestoring, useMutation, useMutationState, useQuery, useQueryClient } from '@tanstack/react-query';
+import { PersistQueryClientProvider } from '@tanstack/react-query-persist-client';
+import { BrowserRouter, Link, Navigate, NavLink, Outlet, Route, Routes, useLocation, useParams, useSearchParams } from 'react-router';
+import { Chart, Line } from 'react-chartjs-2';
 import {
   Chart as ChartJS,
   CategoryScale,
   LinearScale,
   PointElement,
   LineElement,
+  BarElement,
+  LineController,
+  BarController,
   Title,
   Tooltip,
   Legend,
   Filler
 } from 'chart.js';
+import zoomPlugin from 'chartjs-plugin-zoom';
+import { getRetryDelay, onUnauthorized, shouldRetry } from './api.js';
+import { USERS_PAGINATION_MODE } from './config.js';
+import { createHttpDataSource } from './dataSource.js';
+import { SESSION_STORAGE_KEY, isSessionRejected, readStoredSession, refreshSession, signIn, signOut, writeStoredSession } from './session.js';
+import { QUERY_CACHE_MAX_AGE, QUERY_CACHE_VERSION, createIndexedDBPersister } from './queryPersistence.js';
+import { CURRENCIES, DEFAULT_CURRENCY, LOCALES, applyLocale, createFormatters, currencyName, localeDirection, readLocalePreference, translate, translateError, writeLocalePreference } from './i18n.js';
+import { THEME_PREFERENCES, applyTheme, onSystemThemeChange, readActiveTheme, readThemePreference, resolveTheme, writeThemePreference } from './theme.js';
+import { EXPORT_FORMATS, exportRows } from './exporters.js';
+import { collectReportPanels, downloadPanelImages, downloadPdfReport } from './reports.js';
+import { ACTIVITY_RANGES, WEEK_START_DAYS, activityRange, buildActivityCalendar, buildHourlyGrid, formatHour, moveInCalendar, weekdayName, weekdayNames } from './activityCalendar.js';
+import { PALETTES, SCALE_TYPES, createColorScale } from './colorScales.js';
+import { DATE_RANGE_PRESETS, GRANULARITIES, addPeriods, formatDate, formatPeriod, presetRange } from './dates.js';
+import { alignPriorRevenue, linearForecast, netProfit, percentChange, profitMargin } from './salesMetrics.js';
+import { getWidgets, moveOverviewWidget, normalizeOverviewLayout, overviewWidget, overviewWidgets, registerWidget } from './widgets.js';
 
-ChartJS.register(CategoryScale, LinearScale, PointElement, LineElement, Title, Tooltip, Legend, Filler);
+ChartJS.register(
+  CategoryScale,
+  LinearScale,
+  PointElement,
+  LineElement,
+  BarElement,
+  LineController,
+  BarController,
+  Title,
+  Tooltip,
+  Legend,
+  Filler,
+  zoomPlugin
+);
 
 const AuthContext = createContext(null);
 
+// Refresh the access token this long before it actually expires.
+const TOKEN_REFRESH_MARGIN = 30 * 1000;
+const ACTIVITY_STORAGE_KEY = 'dashboard.lastActivity';
+const IDLE_TIMEOUT = 15 * 60 * 1000;
+const IDLE_WARNING = 60 * 1000;
+const ACTIVITY_WRITE_INTERVAL = 5000;
+
+function readLastActivity() {
+  return Number(localStorage.getItem(ACTIVITY_STORAGE_KEY)) || Date.now();
+}
+
+function touchActivity() {
+  localStorage.setItem(ACTIVITY_STORAGE_KEY, String(Date.now()));
+}
+
 function AuthProvider({ children }) {
-  const [token, setToken] = useState(null);
-  const [user, setUser] = useState(null);
-
-  const login = (email, password) => {
-    if (email && password) {
-      const mockToken = `mock_token_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-      const mockUser = { email, name: email.split('@')[0] };
-      setToken(mockToken);
-      setUser(mockUser);
+  const [session, setSession] = useState(readStoredSession);
+  // A message key, translated where it is shown.
+  const [notice, setNotice] = useState('');
+
+  useEffect(() => {
+    writeStoredSession(session);
+  }, [session]);
+
+  useEffect(() => {
+    const handleStorage = (e) => {
+      if (e.key === SESSION_STORAGE_KEY || e.key === null) setSession(readStoredSession());
+    };
+    window.addEventListener('storage', handleStorage);
+    return () => window.removeEventListener('storage', handleStorage);
+  }, []);
+
+  useEffect(() => {
+    if (!session) return;
+    let cancelled = false;
+    let timer;
+    let unsubscribe;
+    const refresh = async (failures) => {
+      try {
+        const next = await refreshSession(session);
+        if (!cancelled) setSession(next);
+      } catch (err) {
+        if (cancelled) return;
+        if (isSessionRejected(err)) {
+          setSession(null);
+          return;
+        }
+        // Offline, or the server is unreachable: keep the user (and their
+        // cached data) and try again once there is a connection.
+        if (onlineManager.isOnline()) {
+          timer = setTimeout(() => refresh(failures + 1), getRetryDelay(failures, err));
+          return;
+        }
+        unsubscribe = onlineManager.subscribe((online) => {
+          if (!online) return;
+          unsubscribe();
+          refresh(failures + 1);
+        });
+      }
+    };
+    timer = setTimeout(() => refresh(0), Math.max(session.expiresAt - Date.now() - TOKEN_REFRESH_MARGIN, 0));
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+      unsubscribe?.();
+    };
+  }, [session]);
+
+  const login = async (email, password) => {
+    try {
+      setSession(await signIn(email, password));
+      setNotice('');
+      touchActivity();
       return { success: true };
+    } catch (err) {
+      return { success: false, error: err };
     }
-    return { success: false, error: 'Invalid credentials' };
   };
 
   const logout = () => {
-    setToken(null);
-    setUser(null);
+    if (session) signOut(session).catch(() => {});
+    setSession(null);
+  };
+
+  // The server rejected our access token. It may just have expired early
+  // (a suspended laptop, a skewed clock), so refresh once and let the request
+  // replay; only when that fails is the session gone, and RequireAuth takes
+  // care of redirecting to the login page.
+  useEffect(() => onUnauthorized(async (rejectedToken) => {
+    if (!session) return null;
+    if (session.accessToken && session.accessToken !== rejectedToken) return session.accessToken;
+    let next;
+    try {
+      next = await refreshSession(session);
+    } catch (err) {
+      // Without a connection the 401 stands but the session is kept.
+      if (!isSessionRejected(err)) return null;
+    }
+    if (next?.accessToken) {
+      setSession(next);
+      return next.accessToken;
+    }
+    setNotice('auth.sessionExpired');
+    logout();
+    return null;
+  }));
+
+  const hasPermission = (permission) => !!session?.user.permissions?.includes(permission);
+
+  const value = {
+    token: session?.accessToken ?? null,
+    user: session?.user ?? null,
+    login,
+    logout,
+    hasPermission,
+    notice,
+    isAuthenticated: !!session,
   };
 
   return (
-    <AuthContext.Provider value={{ token, user, login, logout, isAuthenticated: !!token }}>
+    <AuthContext.Provider value={value}>
       {children}
     </AuthContext.Provider>
   );
@@ -51,82 +183,588 @@ function useAuth() {
   return context;
 }
 
-async function fetchJson(url, token) {
-  const headers = { 'Content-Type': 'application/json' };
-  if (token) headers['Authorization'] = `Bearer ${token}`;
-  const res = await fetch(url, { headers });
-  if (!res.ok) throw new Error(`HTTP ${res.status}`);
-  return res.json();
+const PREFERENCES_STORAGE_KEY = 'dashboard.preferences';
+
+function readPreferences(userId) {
+  try {
+    return JSON.parse(localStorage.getItem(`${PREFERENCES_STORAGE_KEY}.${userId}`)) || {};
+  } catch {
+    return {};
+  }
+}
+
+// UI settings (chart view and the like) remembered per signed-in user.
+function useUserPreference(name, defaultValue) {
+  const { user } = useAuth();
+  const userId = user?.id ?? 'anonymous';
+  const [stored, setStored] = useState(() => ({ userId, preferences: readPreferences(userId) }));
+  const preferences = stored.userId === userId ? stored.preferences : readPreferences(userId);
+
+  const setPreference = useCallback((value) => {
+    const next = { ...readPreferences(userId), [name]: value };
+    localStorage.setItem(`${PREFERENCES_STORAGE_KEY}.${userId}`, JSON.stringify(next));
+    setStored({ userId, preferences: next });
+  }, [userId, name]);
+
+  return [preferences[name] ?? defaultValue, setPreference];
+}
+
+const ToastContext = createContext(null);
+const TOAST_DURATION = 4000;
+let nextToastId = 0;
+
+function ToastProvider({ children }) {
+  const [toasts, setToasts] = useState([]);
+  const { t } = useI18n();
+
+  const dismissToast = useCallback((id) => {
+    setToasts(current => current.filter(toast => toast.id !== id));
+  }, []);
+
+  const showToast = useCallback((message, variant = 'success') => {
+    const id = ++nextToastId;
+    setToasts(current => [...current, { id, message, variant }]);
+    setTimeout(() => dismissToast(id), TOAST_DURATION);
+  }, [dismissToast]);
+
+  return (
+    <ToastContext.Provider value={{ showToast }}>
+      {children}
+      <div className="toast-container" aria-live="polite">
+        {toasts.map(toast => (
+          <div key={toast.id} className={toast.variant === 'error' ? 'toast toast-error' : 'toast toast-success'}>
+            {toast.variant === 'error' ? <AlertCircle className="toast-icon" /> : <CheckCircle className="toast-icon" />}
+            <p className="toast-message">{toast.message}</p>
+            <button onClick={() => dismissToast(toast.id)} className="toast-dismiss" aria-label={t('common.dismiss')}>
+              <X className="toast-dismiss-icon" />
+            </button>
+          </div>
+        ))}
+      </div>
+    </ToastContext.Provider>
+  );
+}
+
+function useToast() {
+  const context = useContext(ToastContext);
+  if (!context) throw new Error('useToast must be used within ToastProvider');
+  return context;
+}
+
+const I18nContext = createContext(null);
+
+// `t(key, params)` translates into the current locale (see i18n.js);
+// `errorMessage(error)` does the same for errors the client raised itself.
+function I18nProvider({ children }) {
+  const [locale, setStoredLocale] = useState(readLocalePreference);
+
+  const setLocale = useCallback((next) => {
+    writeLocalePreference(next);
+    applyLocale(next);
+    setStoredLocale(next);
+  }, []);
+
+  const value = useMemo(() => ({
+    locale,
+    dir: localeDirection(locale),
+    setLocale,
+    t: (key, params) => translate(locale, key, params),
+    errorMessage: (error) => translateError(locale, error),
+  }), [locale, setLocale]);
+
+  return (
+    <I18nContext.Provider value={value}>
+      {children}
+    </I18nContext.Provider>
+  );
+}
+
+function useI18n() {
+  const context = useContext(I18nContext);
+  if (!context) throw new Error('useI18n must be used within I18nProvider');
+  return context;
+}
+
+const ThemeContext = createContext(null);
+
+// `theme` carries the applied theme, its color scheme and the colors that
+// script-drawn graphics need (see readActiveTheme).
+function ThemeProvider({ children }) {
+  const [preference, setStoredPreference] = useState(readThemePreference);
+  const [theme, setTheme] = useState(readActiveTheme);
+
+  const setPreference = useCallback((next) => {
+    writeThemePreference(next);
+    applyTheme(resolveTheme(next));
+    setStoredPreference(next);
+    setTheme(readActiveTheme());
+  }, []);
+
+  useEffect(() => {
+    if (preference !== 'system') return;
+    return onSystemThemeChange(() => {
+      applyTheme(resolveTheme('system'));
+      setTheme(readActiveTheme());
+    });
+  }, [preference]);
+
+  const value = useMemo(() => ({ preference, setPreference, theme }), [preference, setPreference, theme]);
+
+  return (
+    <ThemeContext.Provider value={value}>
+      {children}
+    </ThemeContext.Provider>
+  );
+}
+
+function useTheme() {
+  const context = useContext(ThemeContext);
+  if (!context) throw new Error('useTheme must be used within ThemeProvider');
+  return context;
+}
+
+const DataSourceContext = createContext(createHttpDataSource());
+
+function useDataSource() {
+  return useContext(DataSourceContext);
 }
 
-const API_BASE_URL = 'https://jsonplaceholder.typicode.com';
+const USERS_PAGE_SIZE = 6;
+const USER_SORT_FIELDS = {
+  name: 'name',
+  email: 'email',
+  company: 'company.name',
+  city: 'address.city',
+};
 
 const queryClient = new QueryClient({
   defaultOptions: {
     queries: {
       refetchOnWindowFocus: true,
       staleTime: 30000,
-      cacheTime: 5 * 60 * 1000,
+      gcTime: QUERY_CACHE_MAX_AGE,
+      retry: shouldRetry,
+      retryDelay: getRetryDelay,
     },
   },
 });
 
-function useUsers() {
-  const { token } = useAuth();
+// Queries are restored from IndexedDB on load. Mutations aren't persisted:
+// their functions can't be serialized, so changes made offline are only
+// queued (and retried on reconnect) for as long as the page stays open.
+const persistOptions = {
+  persister: createIndexedDBPersister(),
+  maxAge: QUERY_CACHE_MAX_AGE,
+  buster: QUERY_CACHE_VERSION,
+  dehydrateOptions: { shouldDehydrateMutation: () => false },
+};
+
+function useIsOnline() {
+  return useSyncExternalStore(onlineManager.subscribe, () => onlineManager.isOnline());
+}
+
+// Re-renders whenever the query cache changes. `select` receives every
+// cached query and must return a primitive.
+function useQueryCacheValue(select) {
+  const queryCache = useQueryClient().getQueryCache();
+  return useSyncExternalStore(queryCache.subscribe, () => select(queryCache.getAll()));
+}
+
+const activeQueries = (queries) => queries.filter(query => query.getObserversCount() > 0);
+
+// When the data on screen was fetched: the oldest active query's, or 0.
+function oldestShownData(queries) {
+  const times = activeQueries(queries).map(query => query.state.dataUpdatedAt).filter(Boolean);
+  return times.length ? Math.min(...times) : 0;
+}
+
+function cacheStatus(queries, isOnline) {
+  if (!isOnline) return 'offline';
+  const active = activeQueries(queries);
+  if (active.some(query => query.state.fetchStatus === 'fetching')) return 'updating';
+  return active.some(query => query.isStale()) ? 'stale' : 'fresh';
+}
+
+function useUsers({ enabled = true } = {}) {
+  const { token, user, hasPermission } = useAuth();
+  const dataSource = useDataSource();
   return useQuery({
-    queryKey: ['users', token],
-    queryFn: () => fetchJson(`${API_BASE_URL}/users`, token),
-    enabled: !!token,
+    queryKey: ['users', user?.id],
+    queryFn: ({ signal }) => dataSource.getUsers({ token, signal }),
+    enabled: enabled && !!token && hasPermission('users:read'),
+  });
+}
+
+function readUserListParams(searchParams) {
+  const sort = searchParams.get('sort');
+  return {
+    q: searchParams.get('q') || '',
+    company: searchParams.get('company') || '',
+    city: searchParams.get('city') || '',
+    sort: USER_SORT_FIELDS[sort] ? sort : 'name',
+    order: searchParams.get('order') === 'desc' ? 'desc' : 'asc',
+    page: Math.max(parseInt(searchParams.get('page'), 10) || 1, 1),
+  };
+}
+
+function getField(obj, path) {
+  return path.split('.').reduce((value, key) => value?.[key], obj);
+}
+
+function filterUsers(users, { q, company, city, sort, order }) {
+  const matches = (value, term) => String(value ?? '').toLowerCase().includes(term.toLowerCase());
+  const field = USER_SORT_FIELDS[sort];
+  return users
+    .filter(u => !q || [u.name, u.email, u.company?.name].some(value => matches(value, q)))
+    .filter(u => !company || matches(u.company?.name, company))
+    .filter(u => !city || matches(u.address?.city, city))
+    .sort((a, b) => String(getField(a, field) ?? '').localeCompare(String(getField(b, field) ?? '')) * (order === 'desc' ? -1 : 1));
+}
+
+function queryUsers(users, params) {
+  const filtered = filterUsers(users, params);
+  const start = (params.page - 1) * USERS_PAGE_SIZE;
+  return { items: filtered.slice(start, start + USERS_PAGE_SIZE), total: filtered.length };
+}
+
+function toUserPageSearch({ q, company, city, sort, order, page }) {
+  const search = new URLSearchParams({
+    _page: page,
+    _limit: USERS_PAGE_SIZE,
+    _sort: USER_SORT_FIELDS[sort],
+    _order: order,
   });
+  if (q) search.set('q', q);
+  if (company) search.set('company.name_like', company);
+  if (city) search.set('address.city_like', city);
+  return search;
 }
 
-function useSales() {
+function useUserList(params) {
+  const { token, user, hasPermission } = useAuth();
+  const dataSource = useDataSource();
+  const serverPaged = USERS_PAGINATION_MODE === 'server';
+  const allUsers = useUsers({ enabled: !serverPaged });
+  const page = useQuery({
+    queryKey: ['users', user?.id, 'page', params],
+    queryFn: ({ signal }) => dataSource.getUsersPage(toUserPageSearch(params), { token, signal }),
+    enabled: serverPaged && !!token && hasPermission('users:read'),
+    placeholderData: keepPreviousData,
+  });
+
+  if (serverPaged) return page;
+  return { ...allUsers, data: allUsers.data && queryUsers(allUsers.data, params) };
+}
+
+// Every user matching the list filters, in list order, ignoring pagination.
+function useFilteredUsersFetcher(params) {
   const { token } = useAuth();
-  return useQuery({
-    queryKey: ['sales', token],
-    queryFn: async () => {
-      await new Promise(resolve => setTimeout(resolve, 500));
-      return {
-        labels: ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'],
-        revenue: [45000, 52000, 48000, 61000, 55000, 67000, 72000, 68000, 75000, 82000, 79000, 88000],
-        expenses: [32000, 35000, 33000, 42000, 38000, 45000, 48000, 46000, 51000, 55000, 53000, 58000]
-      };
+  const dataSource = useDataSource();
+  const { data: allUsers } = useUsers({ enabled: USERS_PAGINATION_MODE === 'client' });
+
+  return async (total) => {
+    if (USERS_PAGINATION_MODE === 'client') return filterUsers(allUsers ?? [], params).filter(u => !u.pending);
+    const search = toUserPageSearch({ ...params, page: 1 });
+    search.set('_limit', String(Math.max(total, 1)));
+    const { items } = await dataSource.getUsersPage(search, { token });
+    return items;
+  };
+}
+
+const USER_EXPORT_COLUMNS = [
+  { headerKey: 'users.columns.id', type: 'number', value: user => user.id, width: 6 },
+  { headerKey: 'users.columns.name', type: 'string', value: user => user.name, width: 24 },
+  { headerKey: 'users.columns.username', type: 'string', value: user => user.username, width: 20 },
+  { headerKey: 'users.columns.email', type: 'string', value: user => user.email, width: 30 },
+  { headerKey: 'users.columns.phone', type: 'string', value: user => user.phone, width: 22 },
+  { headerKey: 'users.columns.website', type: 'string', value: user => user.website, width: 24 },
+  { headerKey: 'users.columns.company', type: 'string', value: user => user.company?.name, width: 22 },
+  { headerKey: 'users.columns.street', type: 'string', value: user => user.address?.street, width: 22 },
+  { headerKey: 'users.columns.suite', type: 'string', value: user => user.address?.suite, width: 12 },
+  { headerKey: 'users.columns.city', type: 'string', value: user => user.address?.city, width: 18 },
+  { headerKey: 'users.columns.zipcode', type: 'string', value: user => user.address?.zipcode, width: 12 },
+];
+
+let nextTempUserId = 0;
+
+// Mutations update the cached user list optimistically and roll it back if
+// the request fails. Server-paged lists are simply refetched afterwards.
+function useUserMutations() {
+  const { token, user } = useAuth();
+  const dataSource = useDataSource();
+  const queryClient = useQueryClient();
+  const { showToast } = useToast();
+  const { t, errorMessage } = useI18n();
+  const listKey = ['users', user?.id];
+
+  const applyOptimistic = async (update) => {
+    await queryClient.cancelQueries({ queryKey: listKey, exact: true });
+    const previous = queryClient.getQueryData(listKey);
+    // Server-paged lists have no full list cached to update; onSettled
+    // refetches the pages instead.
+    if (previous) queryClient.setQueryData(listKey, update(previous));
+    return { previous };
+  };
+
+  const handleError = (messageKey) => (err, variables, context) => {
+    if (context?.previous) queryClient.setQueryData(listKey, context.previous);
+    const message = err.status === 409 ? t('userForm.errors.emailTaken') : errorMessage(err);
+    showToast(t(messageKey, { message }), 'error');
+  };
+
+  const handleSettled = () => queryClient.invalidateQueries({ queryKey: [...listKey, 'page'] });
+
+  const createUser = useMutation({
+    mutationFn: (values) => dataSource.createUser(values, { token }),
+    onMutate: async (values) => {
+      // Until the server assigns an id the user has no profile to open and
+      // nothing to edit or delete; `pending` marks it as such.
+      const tempId = `temp-${++nextTempUserId}`;
+      const context = await applyOptimistic(users => [...users, { ...values, id: tempId, pending: true }]);
+      return { ...context, tempId };
+    },
+    onSuccess: (saved, values, context) => {
+      queryClient.setQueryData(listKey, users => users?.map(u => u.id === context.tempId ? { ...values, ...saved } : u));
+      showToast(t('users.added', { name: values.name }));
+    },
+    onError: handleError('users.addFailed'),
+    onSettled: handleSettled,
+  });
+
+  const updateUser = useMutation({
+    mutationFn: (values) => dataSource.updateUser(values, { token }),
+    onMutate: (values) => applyOptimistic(users => users.map(u => u.id === values.id ? values : u)),
+    onSuccess: (saved, values) => {
+      const next = { ...values, ...saved };
+      queryClient.setQueryData(listKey, users => users?.map(u => u.id === values.id ? next : u));
+      queryClient.setQueryData([...listKey, String(values.id)], next);
+      showToast(t('users.updated', { name: values.name }));
+    },
+    onError: handleError('users.updateFailed'),
+    onSettled: handleSettled,
+  });
+
+  const deleteUser = useMutation({
+    mutationFn: (target) => dataSource.deleteUser(target.id, { token }),
+    onMutate: (target) => applyOptimistic(users => users.filter(u => u.id !== target.id)),
+    onSuccess: (_, target) => {
+      queryClient.removeQueries({ queryKey: [...listKey, String(target.id)] });
+      showToast(t('users.deleted', { name: target.name }));
     },
-    enabled: !!token,
+    onError: handleError('users.deleteFailed'),
+    onSettled: handleSettled,
+  });
+
+  return { createUser, updateUser, deleteUser };
+}
+
+function useUser(id) {
+  const { token, user, hasPermission } = useAuth();
+  const dataSource = useDataSource();
+  const queryClient = useQueryClient();
+  return useQuery({
+    queryKey: ['users', user?.id, id],
+    queryFn: ({ signal }) => dataSource.getUser(id, { token, signal }),
+    placeholderData: () => queryClient.getQueryData(['users', user?.id])?.find(u => String(u.id) === id),
+    enabled: !!token && hasPermission('users:read'),
+  });
+}
+
+function useUserResource(id, resource) {
+  const { token, user, hasPermission } = useAuth();
+  const dataSource = useDataSource();
+  return useQuery({
+    queryKey: ['users', user?.id, id, resource],
+    queryFn: ({ signal }) => dataSource.getUserResource(id, resource, { token, signal }),
+    enabled: !!token && hasPermission('users:read'),
+  });
+}
+
+function useSales(params) {
+  const { token, user, hasPermission } = useAuth();
+  const dataSource = useDataSource();
+  return useQuery({
+    queryKey: ['sales', user?.id, params],
+    queryFn: ({ signal }) => dataSource.getSales(params, { token, signal }),
+    enabled: !!token && hasPermission('sales:read'),
     staleTime: 60000,
+    placeholderData: keepPreviousData,
   });
 }
 
-function useActivityData() {
-  const { token } = useAuth();
+function useActivityData(range) {
+  const { token, user, hasPermission } = useAuth();
+  const dataSource = useDataSource();
   return useQuery({
-    queryKey: ['activity', token],
-    queryFn: async () => {
-      await new Promise(resolve => setTimeout(resolve, 600));
-      const weeks = 12;
-      const days = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
-      const data = [];
-      
-      for (let week = 0; week < weeks; week++) {
-        for (let day = 0; day < 7; day++) {
-          let value;
-          if (day === 0 || day === 6) {
-            value = Math.floor(Math.random() * 30);
-          } else {
-            value = Math.floor(Math.random() * 100);
-          }
-          data.push({ week, day, dayName: days[day], value });
-        }
-      }
-      return { data, days, weeks };
-    },
-    enabled: !!token,
+    queryKey: ['activity', user?.id, range],
+    queryFn: ({ signal }) => dataSource.getActivity(range, { token, signal }),
+    enabled: !!token && hasPermission('activity:read'),
+    staleTime: 60000,
+    placeholderData: keepPreviousData,
+  });
+}
+
+function useHourlyActivity(range, { enabled = true } = {}) {
+  const { token, user, hasPermission } = useAuth();
+  const dataSource = useDataSource();
+  return useQuery({
+    queryKey: ['activity', user?.id, 'hourly', range],
+    queryFn: ({ signal }) => dataSource.getHourlyActivity(range, { token, signal }),
+    enabled: enabled && !!token && hasPermission('activity:read'),
     staleTime: 60000,
+    placeholderData: keepPreviousData,
   });
 }
 
+function useActivityDay(date) {
+  const { token, user, hasPermission } = useAuth();
+  const dataSource = useDataSource();
+  return useQuery({
+    queryKey: ['activity', user?.id, 'day', date],
+    queryFn: ({ signal }) => dataSource.getActivityDay(date, { token, signal }),
+    enabled: !!date && !!token && hasPermission('activity:read'),
+    staleTime: 60000,
+  });
+}
+
+function useWorkspace() {
+  const { token, user, hasPermission } = useAuth();
+  const dataSource = useDataSource();
+  return useQuery({
+    queryKey: ['workspace', user?.id],
+    queryFn: ({ signal }) => dataSource.getWorkspace({ token, signal }),
+    enabled: !!token && hasPermission('workspace:read'),
+    staleTime: 5 * 60000,
+  });
+}
+
+function useUpdateWorkspace() {
+  const { token, user } = useAuth();
+  const dataSource = useDataSource();
+  const queryClient = useQueryClient();
+  const { showToast } = useToast();
+  const { t, errorMessage } = useI18n();
+  return useMutation({
+    mutationFn: (values) => dataSource.updateWorkspace(values, { token }),
+    onSuccess: (workspace) => {
+      queryClient.setQueryData(['workspace', user?.id], workspace);
+      showToast(t('workspace.saved'));
+    },
+    onError: (err) => showToast(t('workspace.failed', { message: errorMessage(err) }), 'error'),
+  });
+}
+
+// Number, currency and time formatting for the current locale, with money
+// in the workspace's currency (see createFormatters).
+function useFormatters() {
+  const { locale } = useI18n();
+  const { data: workspace } = useWorkspace();
+  const currency = workspace?.currency;
+  return useMemo(() => createFormatters(locale, currency), [locale, currency]);
+}
+
+const isWithinReport = (date, report) => date >= report.from && date <= report.to;
+
+// Folds a live event into whatever is cached for the signed-in user, so
+// open views update without refetching. Anything that can't be patched
+// in place is invalidated instead.
+function applyLiveEvent(queryClient, userId, { type, data }) {
+  const listKey = ['users', userId];
+  switch (type) {
+    case 'activity':
+      // Daily reports are keyed by their range object; 'hourly' and 'day'
+      // queries share the prefix.
+      queryClient.setQueriesData(
+        { queryKey: ['activity', userId], predicate: ({ queryKey }) => typeof queryKey[2] === 'object' },
+        report => report && isWithinReport(data.date, report)
+          ? { ...report, records: report.records.map(record => record.date === data.date ? { ...record, count: data.count } : record) }
+          : report
+      );
+      queryClient.setQueriesData({ queryKey: ['activity', userId, 'hourly'] }, report => {
+        if (!report || !isWithinReport(data.date, report)) return report;
+        const hours = report.hours.map(row => [...row]);
+        data.events.forEach(event => {
+          const time = new Date(event.time);
+          hours[time.getUTCDay()][time.getUTCHours()]++;
+        });
+        return { ...report, hours };
+      });
+      queryClient.invalidateQueries({ queryKey: ['activity', userId, 'day', data.date] });
+      break;
+    case 'sales':
+      queryClient.setQueriesData({ queryKey: ['sales', userId] }, report => {
+        if (!report || !isWithinReport(data.date, report)) return report;
+        const index = report.periods.findLastIndex(start => start <= data.date);
+        return {
+          ...report,
+          revenue: report.revenue.map((value, i) => i === index ? value + data.revenue : value),
+          expenses: report.expenses.map((value, i) => i === index ? value + data.expenses : value),
+        };
+      });
+      break;
+    case 'user.created':
+    case 'user.updated':
+    case 'user.deleted':
+      // While one of our own mutations is in flight the list holds
+      // optimistic entries; a refetch reconciles both.
+      if (queryClient.isMutating()) {
+        queryClient.invalidateQueries({ queryKey: listKey });
+        break;
+      }
+      if (type === 'user.deleted') {
+        queryClient.setQueryData(listKey, users => users?.filter(u => u.id !== data.id));
+        queryClient.removeQueries({ queryKey: [...listKey, String(data.id)] });
+      } else {
+        queryClient.setQueryData(listKey, users => users && (users.some(u => u.id === data.user.id)
+          ? users.map(u => u.id === data.user.id ? data.user : u)
+          : [...users, data.user]));
+        queryClient.setQueryData([...listKey, String(data.user.id)], cached => cached && data.user);
+      }
+      queryClient.invalidateQueries({ queryKey: [...listKey, 'page'] });
+      break;
+    case 'workspace.updated':
+      queryClient.setQueryData(['workspace', userId], data.workspace);
+      break;
+    case 'resync':
+      // Events were missed while disconnected.
+      queryClient.invalidateQueries();
+      break;
+  }
+}
+
+// Keeps a live connection open while signed in. Returns its status, one of
+// LIVE_STATUSES (see live.js).
+function useLiveUpdates() {
+  const { token, user } = useAuth();
+  const dataSource = useDataSource();
+  const queryClient = useQueryClient();
+  const [status, setStatus] = useState('connecting');
+  const tokenRef = useRef(token);
+  const userId = user?.id;
+  // A reload with an expired token restores the session without one until
+  // the refresh completes; connect once it arrives. Later rotations are
+  // read through tokenRef when the stream next reconnects.
+  const hasToken = !!token;
+
+  useEffect(() => {
+    tokenRef.current = token;
+  }, [token]);
+
+  useEffect(() => {
+    if (!userId || !hasToken) return;
+    return dataSource.subscribe(
+      { onStatus: setStatus, onEvent: event => applyLiveEvent(queryClient, userId, event) },
+      { getToken: () => tokenRef.current }
+    );
+  }, [dataSource, queryClient, userId, hasToken]);
+
+  return status;
+}
+
 function LoginPage() {
-  const { login } = useAuth();
+  const { login, isAuthenticated, notice } = useAuth();
+  const { t, errorMessage } = useI18n();
+  const location = useLocation();
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
   const [error, setError] = useState('');
@@ -136,30 +774,17 @@ function LoginPage() {
     e.preventDefault();
     setError('');
     setIsLoading(true);
-    await new Promise(resolve => setTimeout(resolve, 800));
-    const result = login(email, password);
-    if (!result.success) setError(result.error || 'Login failed');
+    const result = await login(email, password);
+    if (!result.success) setError(errorMessage(result.error) || t('auth.loginFailed'));
     setIsLoading(false);
   };
 
-  return (
-<<<<<<< HEAD
-    <div className="min-h-screen bg-linear-to-br from-blue-50 to-indigo-100 flex items-center justify-center p-6">
-      <div className="w-full max-w-md">
-
-        <div className="bg-white rounded-2xl shadow-xl p-8">
-          <div className="text-center mb-8">
-            <div className="inline-flex items-center justify-center w-16 h-16 bg-blue-100 rounded-full mb-4">
-              <Lock className="w-8 h-8 text-blue-600" />
-            </div>
-            <h1 className="text-2xl font-bold text-gray-900 mb-2">Welcome Back</h1>
-            <p className="text-gray-600">Sign in to access your dashboard</p>
-          </div>
+  if (isAuthenticated) {
+    const from = location.state?.from;
+    return <Navigate to={from ? `${from.pathname}${from.search}${from.hash}` : '/overview'} replace />;
+  }
 
-          <div className="space-y-4">
-            <div>
-              <label htmlFor="email" className="block text-sm font-medium text-gray-700 mb-2">Email Address</label>
-=======
+  return (
     <div className="login-container">
       <div className="login-wrapper">
         <div className="login-card">
@@ -167,34 +792,25 @@ function LoginPage() {
             <div className="login-icon-wrapper">
               <Lock className="login-icon" />
             </div>
-            <h1 className="login-title">Welcome Back</h1>
-            <p className="login-subtitle">Sign in to access your dashboard</p>
+            <h1 className="login-title">{t('auth.title')}</h1>
+            <p className="login-subtitle">{t('auth.subtitle')}</p>
           </div>
 
           <div className="login-form">
             <div>
-              <label htmlFor="email" className="form-label">Email Address</label>
->>>>>>> milestone-6
+              <label htmlFor="email" className="form-label">{t('auth.email')}</label>
               <input
                 id="email"
                 type="email"
                 value={email}
                 onChange={(e) => setEmail(e.target.value)}
                 placeholder="user@example.com"
-<<<<<<< HEAD
-                className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none transition-all"
-=======
                 className="form-input"
->>>>>>> milestone-6
               />
             </div>
 
             <div>
-<<<<<<< HEAD
-              <label htmlFor="password" className="block text-sm font-medium text-gray-700 mb-2">Password</label>
-=======
-              <label htmlFor="password" className="form-label">Password</label>
->>>>>>> milestone-6
+              <label htmlFor="password" className="form-label">{t('auth.password')}</label>
               <input
                 id="password"
                 type="password"
@@ -202,59 +818,44 @@ function LoginPage() {
                 onChange={(e) => setPassword(e.target.value)}
                 placeholder="••••••••"
                 onKeyDown={(e) => e.key === 'Enter' && handleSubmit(e)}
-<<<<<<< HEAD
-                className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none transition-all"
-=======
                 className="form-input"
->>>>>>> milestone-6
               />
             </div>
 
+            {notice && !error && (
+              <div className="notice-alert">
+                <Clock className="notice-icon" />
+                <p className="notice-text">{t(notice)}</p>
+              </div>
+            )}
+
             {error && (
-<<<<<<< HEAD
-              <div className="flex items-center gap-2 p-3 bg-red-50 border border-red-200 rounded-lg">
-                <AlertCircle className="w-5 h-5 text-red-600 flex shrink-0" />
-                <p className="text-sm text-red-600">{error}</p>
-=======
               <div className="error-alert">
                 <AlertCircle className="error-icon" />
                 <p className="error-text">{error}</p>
->>>>>>> milestone-6
               </div>
             )}
 
             <button
               onClick={handleSubmit}
               disabled={isLoading}
-<<<<<<< HEAD
-              className="w-full py-3 bg-blue-600 text-white rounded-lg font-semibold hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors flex items-center justify-center gap-2"
-            >
-              {isLoading ? (
-                <>
-                  <Loader2 className="w-5 h-5 animate-spin" />
-=======
               className="submit-button"
             >
               {isLoading ? (
                 <>
                   <Loader2 className="button-spinner" />
->>>>>>> milestone-6
-                  Signing in...
+                  {t('auth.signingIn')}
                 </>
               ) : (
-                'Sign In'
+                t('auth.signIn')
               )}
             </button>
           </div>
 
-<<<<<<< HEAD
-          <div className="mt-6 p-4 bg-blue-50 rounded-lg border border-blue-200">
-            <p className="text-xs text-blue-800 text-center">
-=======
           <div className="login-demo-notice">
             <p className="demo-text">
->>>>>>> milestone-6
-              <strong>Demo:</strong> Use any email and password to login
+              <strong>{t('auth.demoAccounts')}</strong> admin@example.com / admin123,
+              finance@example.com / finance123, viewer@example.com / viewer123
             </p>
           </div>
         </div>
@@ -263,175 +864,420 @@ function LoginPage() {
   );
 }
 
-function UserCard({ user }) {
+function UserCard({ user, onEdit, onDelete }) {
+  const { t } = useI18n();
+
+  const details = (
+    <>
+      <div className="user-avatar">
+        {user.name.charAt(0)}
+      </div>
+      <div className="user-info">
+        <h3 className="user-name">{user.name}</h3>
+        <p className="user-email">{user.email}</p>
+        {user.company && <p className="user-company">{user.company.name}</p>}
+        {user.pending && <p className="user-pending">{t('users.saving')}</p>}
+      </div>
+    </>
+  );
+
   return (
-<<<<<<< HEAD
-    <div className="bg-white rounded-lg shadow p-4 hover:shadow-lg transition-shadow">
-      <div className="flex items-start gap-3">
-        <div className="w-12 h-12 rounded-full bg-blue-100 flex items-center justify-center text-blue-600 font-semibold">
-          {user.name.charAt(0)}
-        </div>
-        <div className="flex-1">
-          <h3 className="font-semibold text-gray-900">{user.name}</h3>
-          <p className="text-sm text-gray-500">{user.email}</p>
-          {user.company && <p className="text-xs text-gray-400 mt-1">{user.company.name}</p>}
-=======
-    <div className="user-card">
+    <div className={user.pending ? 'user-card-pending' : 'user-card'} aria-busy={user.pending || undefined}>
       <div className="user-card-content">
-        <div className="user-avatar">
-          {user.name.charAt(0)}
+        {user.pending ? (
+          <div className="user-card-link">{details}</div>
+        ) : (
+          <Link to={`/users/${user.id}`} className="user-card-link">{details}</Link>
+        )}
+        {!user.pending && (onEdit || onDelete) && (
+          <div className="user-card-actions">
+            {onEdit && (
+              <button onClick={() => onEdit(user)} className="user-card-action" aria-label={t('users.edit', { name: user.name })}>
+                <Pencil className="user-card-action-icon" />
+              </button>
+            )}
+            {onDelete && (
+              <button onClick={() => onDelete(user)} className="user-card-action-danger" aria-label={t('users.delete', { name: user.name })}>
+                <Trash2 className="user-card-action-icon" />
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_PATTERN = /^[+\d\s().x-]{7,}$/;
+const WEBSITE_PATTERN = /^[\w-]+(\.[\w-]+)+(\/\S*)?$/;
+
+function toUserForm(user) {
+  return {
+    name: user?.name ?? '',
+    username: user?.username ?? '',
+    email: user?.email ?? '',
+    phone: user?.phone ?? '',
+    website: user?.website ?? '',
+    company: user?.company?.name ?? '',
+    city: user?.address?.city ?? '',
+  };
+}
+
+function fromUserForm(values, user) {
+  return {
+    ...user,
+    name: values.name.trim(),
+    username: values.username.trim(),
+    email: values.email.trim(),
+    phone: values.phone.trim(),
+    website: values.website.trim(),
+    company: { ...user?.company, name: values.company.trim() },
+    address: { ...user?.address, city: values.city.trim() },
+  };
+}
+
+// Returns message keys by field name.
+function validateUserForm(values, users, editingId) {
+  const errors = {};
+  const email = values.email.trim().toLowerCase();
+  if (!values.name.trim()) errors.name = 'userForm.errors.nameRequired';
+  if (!email) errors.email = 'userForm.errors.emailRequired';
+  else if (!EMAIL_PATTERN.test(email)) errors.email = 'userForm.errors.emailInvalid';
+  else if (users.some(u => u.id !== editingId && u.email.toLowerCase() === email)) errors.email = 'userForm.errors.emailTaken';
+  if (values.phone.trim() && !PHONE_PATTERN.test(values.phone.trim())) errors.phone = 'userForm.errors.phoneInvalid';
+  if (values.website.trim() && !WEBSITE_PATTERN.test(values.website.trim())) errors.website = 'userForm.errors.websiteInvalid';
+  return errors;
+}
+
+const USER_FORM_FIELDS = [
+  { name: 'name', required: true },
+  { name: 'username' },
+  { name: 'email', type: 'email', required: true },
+  { name: 'phone', type: 'tel' },
+  { name: 'website' },
+  { name: 'company' },
+  { name: 'city' },
+];
+
+// `onSubmit` may return a promise; the dialog stays open until it settles
+// and shows a 409 from the server as a taken email.
+function UserFormDialog({ user, users, onSubmit, onClose }) {
+  const [values, setValues] = useState(() => toUserForm(user));
+  const [errors, setErrors] = useState({});
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const { t } = useI18n();
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const nextErrors = validateUserForm(values, users, user?.id);
+    setErrors(nextErrors);
+    if (Object.keys(nextErrors).length > 0) return;
+    setIsSubmitting(true);
+    try {
+      await onSubmit(fromUserForm(values, user));
+    } catch (err) {
+      if (err.status === 409) setErrors({ email: 'userForm.errors.emailTaken' });
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onKeyDown={(e) => e.key === 'Escape' && onClose()}>
+      <form onSubmit={handleSubmit} className="modal-dialog" role="dialog" aria-modal="true" aria-labelledby="user-form-title" noValidate>
+        <div className="modal-header">
+          <h2 id="user-form-title" className="modal-title">{user ? t('userForm.editTitle') : t('userForm.addTitle')}</h2>
+          <button type="button" onClick={onClose} className="modal-close" aria-label={t('common.close')}>
+            <X className="modal-close-icon" />
+          </button>
+        </div>
+
+        <div className="user-form-grid">
+          {USER_FORM_FIELDS.map(field => (
+            <div key={field.name}>
+              <label htmlFor={`user-${field.name}`} className="form-label">
+                {t(`userForm.fields.${field.name}`)}{field.required && ' *'}
+              </label>
+              <input
+                id={`user-${field.name}`}
+                type={field.type || 'text'}
+                value={values[field.name]}
+                onChange={(e) => setValues(current => ({ ...current, [field.name]: e.target.value }))}
+                aria-invalid={!!errors[field.name]}
+                className={errors[field.name] ? 'form-input form-input-invalid' : 'form-input'}
+              />
+              {errors[field.name] && <p className="form-field-error">{t(errors[field.name])}</p>}
+            </div>
+          ))}
+        </div>
+
+        <div className="modal-actions">
+          <button type="button" onClick={onClose} className="modal-cancel-button">{t('common.cancel')}</button>
+          <button type="submit" disabled={isSubmitting} className="modal-confirm-button">{user ? t('userForm.save') : t('userForm.add')}</button>
         </div>
-        <div className="user-info">
-          <h3 className="user-name">{user.name}</h3>
-          <p className="user-email">{user.email}</p>
-          {user.company && <p className="user-company">{user.company.name}</p>}
->>>>>>> milestone-6
+      </form>
+    </div>
+  );
+}
+
+function ConfirmDialog({ title, message, confirmLabel, onConfirm, onClose }) {
+  const { t } = useI18n();
+  return (
+    <div className="modal-overlay" onKeyDown={(e) => e.key === 'Escape' && onClose()}>
+      <div className="modal-dialog modal-dialog-small" role="alertdialog" aria-modal="true" aria-labelledby="confirm-title">
+        <h2 id="confirm-title" className="modal-title">{title}</h2>
+        <p className="modal-message">{message}</p>
+        <div className="modal-actions">
+          <button onClick={onClose} className="modal-cancel-button">{t('common.cancel')}</button>
+          <button onClick={onConfirm} className="modal-danger-button" autoFocus>{confirmLabel}</button>
         </div>
       </div>
     </div>
   );
 }
 
-function LoadingState() {
+// Offers the export formats for a panel. `getExport` returns (or resolves
+// to) { filename, sheet, columns, rows }; see exporters.js for columns,
+// which name their header with a message key (headerKey) here.
+function ExportMenu({ getExport, disabled }) {
+  const { showToast } = useToast();
+  const { t, errorMessage } = useI18n();
+  const { currencyCode } = useFormatters();
+  const [open, setOpen] = useState(false);
+  const [exporting, setExporting] = useState(false);
+
+  const handleExport = async (format) => {
+    setOpen(false);
+    setExporting(true);
+    try {
+      const { filename, sheet, columns, rows } = await getExport();
+      const headed = columns.map(({ headerKey, ...column }) => ({ ...column, header: t(headerKey) }));
+      await exportRows(format, filename, headed, rows, { sheet, currency: currencyCode });
+    } catch (err) {
+      showToast(t('export.failed', { message: errorMessage(err) }), 'error');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <div
+      className="export-menu"
+      onBlur={(e) => !e.currentTarget.contains(e.relatedTarget) && setOpen(false)}
+      onKeyDown={(e) => e.key === 'Escape' && setOpen(false)}
+    >
+      <button
+        onClick={() => setOpen(!open)}
+        disabled={disabled || exporting}
+        aria-haspopup="menu"
+        aria-expanded={open}
+        className="export-button"
+      >
+        {exporting ? <Loader2 className="export-icon-spinning" /> : <Download className="export-icon" />}
+        {t('export.button')}
+      </button>
+      {open && (
+        <div className="export-menu-list" role="menu">
+          {EXPORT_FORMATS.map(format => (
+            <button key={format.id} role="menuitem" onClick={() => handleExport(format.id)} className="export-menu-item">
+              {t(format.labelKey)}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Queries without cached data pause while offline instead of failing;
+// common.paused says so.
+function LoadingState({ message, paused = false }) {
+  const { t } = useI18n();
   return (
-<<<<<<< HEAD
-    <div className="flex flex-col items-center justify-center py-12">
-      <Loader2 className="w-12 h-12 text-blue-500 animate-spin mb-4" />
-      <p className="text-gray-600 font-medium">Loading users...</p>
-      <p className="text-sm text-gray-400 mt-1">Please wait</p>
-=======
     <div className="loading-state">
       <Loader2 className="loading-spinner" />
-      <p className="loading-title">Loading users...</p>
-      <p className="loading-subtitle">Please wait</p>
->>>>>>> milestone-6
+      <p className="loading-title">{message ?? t('common.loading')}</p>
+      <p className="loading-subtitle">{paused ? t('common.paused') : t('common.pleaseWait')}</p>
     </div>
   );
 }
 
-function ErrorState({ error, onRetry }) {
+function ErrorState({ title, error, onRetry }) {
+  const { t } = useI18n();
   return (
-<<<<<<< HEAD
-    <div className="flex flex-col items-center justify-center py-12">
-      <div className="bg-red-50 rounded-full p-3 mb-4">
-        <AlertCircle className="w-12 h-12 text-red-500" />
-      </div>
-      <h3 className="text-lg font-semibold text-gray-900 mb-2">Failed to Load Users</h3>
-      <p className="text-sm text-gray-600 mb-4">{error}</p>
-      <button
-        onClick={onRetry}
-        className="flex items-center gap-2 px-4 py-2 bg-blue-500 text-white rounded-lg hover:bg-blue-600 transition-colors"
-      >
-        <RefreshCw className="w-4 h-4" />
-=======
     <div className="error-state">
       <div className="error-icon-wrapper">
         <AlertCircle className="error-state-icon" />
       </div>
-      <h3 className="error-state-title">Failed to Load Users</h3>
+      <h3 className="error-state-title">{title ?? t('common.error')}</h3>
       <p className="error-state-message">{error}</p>
       <button onClick={onRetry} className="retry-button">
         <RefreshCw className="retry-icon" />
->>>>>>> milestone-6
-        Try Again
+        {t('common.tryAgain')}
       </button>
     </div>
   );
 }
 
-function DashboardStats({ userCount, loading, isFetching, dataUpdatedAt }) {
-  const lastUpdated = dataUpdatedAt ? new Date(dataUpdatedAt).toLocaleTimeString() : 'Never';
-  
+function NoAccessState() {
+  const { t } = useI18n();
   return (
-<<<<<<< HEAD
-    <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
-      <div className="bg-white rounded-lg shadow p-6">
-        <div className="flex items-center gap-3">
-          <div className="bg-blue-100 rounded-lg p-3">
-            <Users className="w-6 h-6 text-blue-600" />
-          </div>
-          <div>
-            <p className="text-sm text-gray-500">Total Users</p>
-            {loading ? (
-              <div className="h-8 w-16 bg-gray-200 animate-pulse rounded mt-1"></div>
-            ) : (
-              <p className="text-2xl font-bold text-gray-900">{userCount}</p>
-=======
-    <div className="stats-grid">
-      <div className="stat-card">
-        <div className="stat-card-content">
-          <div className="stat-icon-wrapper stat-icon-blue">
-            <Users className="stat-icon" />
-          </div>
+    <div className="no-access-state">
+      <div className="no-access-icon-wrapper">
+        <ShieldOff className="no-access-icon" />
+      </div>
+      <h3 className="no-access-title">{t('access.title')}</h3>
+      <p className="no-access-message">{t('access.message')}</p>
+    </div>
+  );
+}
+
+function RequirePermission({ permission, children }) {
+  const { hasPermission } = useAuth();
+  return hasPermission(permission) ? children : <NoAccessState />;
+}
+
+const WIDGET_TONES = {
+  accent: { icon: 'widget-icon-wrapper', spinner: 'loading-spinner-large' },
+  success: { icon: 'widget-icon-wrapper widget-icon-wrapper-success', spinner: 'loading-spinner-green' },
+};
+
+// Card chrome shared by dashboard panels: a header with the title, any
+// `actions` and a refresh button, optional `controls` below it, and the
+// loading and error states of `query` (a useQuery result). `children` is a
+// function rendering the loaded content, only called once there is data.
+// Cards take part in reports unless `report` is false.
+function WidgetCard({ title, subtitle, icon: Icon, tone = 'accent', query, loadingMessage, errorTitle, actions, controls, report = true, reportRange, children }) {
+  const { t, errorMessage } = useI18n();
+  const { isPending, isPaused, isLoading, isFetching, isError, error, refetch } = query;
+
+  return (
+    <div className="widget-card" data-report-panel={report ? title : undefined} data-report-range={reportRange}>
+      <div className="widget-header">
+        <div className="widget-header-content">
+          <div className="widget-title-wrapper">
+            {Icon && (
+              <div className={WIDGET_TONES[tone].icon}>
+                <Icon className="widget-icon" />
+              </div>
+            )}
+            <div>
+              <h2 className="widget-title">{title}</h2>
+              {subtitle && <p className="widget-subtitle">{subtitle}</p>}
+            </div>
+          </div>
+          <div className="widget-actions" data-report-exclude>
+            {actions}
+            <button
+              onClick={() => refetch()}
+              disabled={isLoading || isFetching}
+              className="refresh-button"
+            >
+              <RefreshCw className={isFetching ? "refresh-icon-spinning" : "refresh-icon"} />
+              {t('common.refresh')}
+            </button>
+          </div>
+        </div>
+        {controls}
+      </div>
+
+      <div className="widget-content">
+        {isPending ? (
+          <div className="widget-loading">
+            <Loader2 className={WIDGET_TONES[tone].spinner} />
+            <p className="loading-text">{isPaused ? t('common.paused') : loadingMessage ?? t('common.pleaseWait')}</p>
+          </div>
+        ) : isError ? (
+          <div className="widget-error">
+            <div className="widget-error-icon-wrapper">
+              <AlertCircle className="widget-error-icon" />
+            </div>
+            <h3 className="widget-error-title">{errorTitle ?? title}</h3>
+            <p className="widget-error-message">{errorMessage(error)}</p>
+            <button onClick={() => refetch()} className="widget-retry-button">
+              <RefreshCw className="retry-icon" />
+              {t('common.tryAgain')}
+            </button>
+          </div>
+        ) : children()}
+      </div>
+    </div>
+  );
+}
+
+// Labelled by stats.statuses.<key>.
+const CACHE_STATUSES = {
+  fresh: 'stat-status',
+  updating: 'stat-status',
+  stale: 'stat-status stat-status-stale',
+  offline: 'stat-status stat-status-offline',
+};
+
+// Queries go stale with time rather than through a cache event, so the
+// status is also re-checked on an interval.
+const CACHE_STATUS_INTERVAL = 10000;
+
+function DashboardStats({ userCount, loading, dataUpdatedAt }) {
+  const { t } = useI18n();
+  const formatters = useFormatters();
+  const lastUpdated = dataUpdatedAt ? formatters.time(dataUpdatedAt) : t('common.never');
+  const isOnline = useIsOnline();
+  const status = useQueryCacheValue(queries => cacheStatus(queries, isOnline));
+  const cachedCount = useQueryCacheValue(queries => queries.filter(query => query.state.dataUpdatedAt).length);
+  const [, setTick] = useState(0);
+
+  useEffect(() => {
+    const timer = setInterval(() => setTick(tick => tick + 1), CACHE_STATUS_INTERVAL);
+    return () => clearInterval(timer);
+  }, []);
+
+  return (
+    <div className="stats-grid" data-report-panel={t('stats.panel')}>
+      <div className="stat-card">
+        <div className="stat-card-content">
+          <div className="stat-icon-wrapper stat-icon-blue">
+            <Users className="stat-icon" />
+          </div>
           <div>
-            <p className="stat-label">Total Users</p>
+            <p className="stat-label">{t('stats.totalUsers')}</p>
             {loading ? (
               <div className="stat-skeleton"></div>
             ) : (
-              <p className="stat-value">{userCount}</p>
->>>>>>> milestone-6
+              <p className="stat-value">{typeof userCount === 'number' ? formatters.number(userCount) : userCount}</p>
             )}
           </div>
         </div>
       </div>
       
-<<<<<<< HEAD
-      <div className="bg-white rounded-lg shadow p-6">
-        <div className="flex items-center gap-3">
-          <div className="bg-green-100 rounded-lg p-3">
-            <CheckCircle className="w-6 h-6 text-green-600" />
-          </div>
-          <div>
-            <p className="text-sm text-gray-500">Cache Status</p>
-            {loading ? (
-              <div className="h-8 w-24 bg-gray-200 animate-pulse rounded mt-1"></div>
-            ) : (
-              <p className="text-lg font-semibold text-green-600">
-=======
       <div className="stat-card">
         <div className="stat-card-content">
           <div className="stat-icon-wrapper stat-icon-green">
             <CheckCircle className="stat-icon" />
           </div>
           <div>
-            <p className="stat-label">Cache Status</p>
+            <p className="stat-label">{t('stats.cacheStatus')}</p>
             {loading ? (
               <div className="stat-skeleton-wide"></div>
             ) : (
-              <p className="stat-status">
->>>>>>> milestone-6
-                {isFetching ? 'Updating...' : 'Cached'}
+              <p className={CACHE_STATUSES[status]} title={t('stats.cachedQueries', { count: cachedCount })}>
+                {t(`stats.statuses.${status}`)}
               </p>
             )}
           </div>
         </div>
       </div>
       
-<<<<<<< HEAD
-      <div className="bg-white rounded-lg shadow p-6">
-        <div className="flex items-center gap-3">
-          <div className="bg-purple-100 rounded-lg p-3">
-            <Users className="w-6 h-6 text-purple-600" />
-          </div>
-          <div>
-            <p className="text-sm text-gray-500">Last Updated</p>
-            {loading ? (
-              <div className="h-8 w-20 bg-gray-200 animate-pulse rounded mt-1"></div>
-            ) : (
-              <p className="text-sm font-semibold text-gray-900">{lastUpdated}</p>
-=======
       <div className="stat-card">
         <div className="stat-card-content">
           <div className="stat-icon-wrapper stat-icon-purple">
             <Users className="stat-icon" />
           </div>
           <div>
-            <p className="stat-label">Last Updated</p>
+            <p className="stat-label">{t('stats.lastUpdated')}</p>
             {loading ? (
               <div className="stat-skeleton-small"></div>
             ) : (
               <p className="stat-time">{lastUpdated}</p>
->>>>>>> milestone-6
             )}
           </div>
         </div>
@@ -440,79 +1286,421 @@ function DashboardStats({ userCount, loading, isFetching, dataUpdatedAt }) {
   );
 }
 
-function SalesReport() {
-  const { data: salesData, isLoading, isError, error, refetch, isFetching } = useSales();
+// How far the trend line is projected past the selected range.
+const FORECAST_PERIODS = { day: 14, week: 8, month: 3, quarter: 2, year: 1 };
+
+const SALES_CHART_VIEWS = [
+  { id: 'line', labelKey: 'sales.views.line', icon: ChartLine },
+  { id: 'area', labelKey: 'sales.views.area', icon: ChartArea },
+  { id: 'bar', labelKey: 'sales.views.bar', icon: ChartColumn },
+  { id: 'stacked', labelKey: 'sales.views.stacked', icon: ChartColumnStacked },
+  { id: 'combo', labelKey: 'sales.views.combo', icon: ChartNoAxesCombined },
+];
+
+// Which of the three main series each view draws as bars. Everything else
+// (margin, prior year, forecast) is always a line.
+const SALES_VIEW_BARS = {
+  line: [],
+  area: [],
+  bar: ['revenue', 'expenses', 'profit'],
+  stacked: ['expenses', 'profit'],
+  combo: ['revenue', 'expenses'],
+};
+
+// Series are identified by `id`; `label` is what the legend shows.
+function buildSalesChartData(salesData, priorData, { granularity, denseSeries, forecastSteps, view, colors, t, locale }) {
+  const { periods, revenue, expenses } = salesData;
+  const lastPeriod = periods[periods.length - 1];
+  const forecast = linearForecast(revenue, forecastSteps);
+  const forecastPeriods = forecast.map((_, i) => addPeriods(lastPeriod, granularity, i + 1));
+  const allPeriods = [...periods, ...forecastPeriods];
+  const pointRadius = denseSeries ? 0 : 4;
+  const bars = SALES_VIEW_BARS[view];
 
-  const chartData = salesData ? {
-    labels: salesData.labels,
+  const line = (color, options) => ({
+    type: 'line',
+    borderColor: `rgb(${color})`,
+    backgroundColor: `rgb(${color} / 0.1)`,
+    tension: 0.4,
+    pointRadius,
+    pointHoverRadius: 6,
+    pointBackgroundColor: `rgb(${color})`,
+    pointBorderColor: `rgb(${colors.surface})`,
+    pointBorderWidth: 2,
+    fill: false,
+    // Give every series its own stack so only the stacked bars add up.
+    stack: options.id,
+    label: t(`sales.series.${options.id}`),
+    ...options,
+  });
+
+  const series = (color, options) => {
+    if (!bars.includes(options.id)) return line(color, { fill: view === 'area', ...options });
+    return {
+      type: 'bar',
+      backgroundColor: `rgb(${color} / 0.75)`,
+      hoverBackgroundColor: `rgb(${color})`,
+      borderRadius: 3,
+      maxBarThickness: 32,
+      stack: view === 'stacked' ? 'totals' : options.id,
+      label: t(`sales.series.${options.id}`),
+      ...options,
+    };
+  };
+
+  return {
+    periods: allPeriods,
+    labels: allPeriods.map(period => formatPeriod(period, granularity, { locale })),
     datasets: [
-      {
-        label: 'Revenue',
-        data: salesData.revenue,
-        borderColor: 'rgb(59, 130, 246)',
-        backgroundColor: 'rgba(59, 130, 246, 0.1)',
-        tension: 0.4,
-        fill: true,
-        pointRadius: 4,
-        pointHoverRadius: 6,
-        pointBackgroundColor: 'rgb(59, 130, 246)',
-        pointBorderColor: '#fff',
-        pointBorderWidth: 2,
-      },
-      {
-        label: 'Expenses',
-        data: salesData.expenses,
-        borderColor: 'rgb(239, 68, 68)',
-        backgroundColor: 'rgba(239, 68, 68, 0.1)',
-        tension: 0.4,
-        fill: true,
-        pointRadius: 4,
-        pointHoverRadius: 6,
-        pointBackgroundColor: 'rgb(239, 68, 68)',
-        pointBorderColor: '#fff',
-        pointBorderWidth: 2,
-      }
-    ]
-  } : null;
+      series(colors.chartRevenue, { id: 'revenue', data: revenue }),
+      series(colors.chartExpenses, { id: 'expenses', data: expenses }),
+      series(colors.chartProfit, { id: 'profit', data: netProfit(revenue, expenses) }),
+      line(colors.chartMargin, {
+        id: 'margin',
+        data: profitMargin(revenue, expenses),
+        yAxisID: 'margin',
+        valueType: 'percent',
+        hidden: true,
+      }),
+      line(colors.chartPrior, {
+        id: 'prior',
+        data: priorData ? alignPriorRevenue(periods, priorData) : [],
+        comparison: revenue,
+        borderDash: [4, 4],
+        hidden: true,
+      }),
+      line(colors.chartRevenue, {
+        id: 'forecast',
+        data: [...Array(periods.length - 1).fill(null), revenue[revenue.length - 1], ...forecast],
+        forecast: true,
+        borderDash: [6, 6],
+        pointStyle: 'rectRot',
+      }),
+    ],
+  };
+}
+
+const roundTo = (value, digits) => (value == null ? null : Number(value.toFixed(digits)));
+
+const SALES_EXPORT_COLUMNS = [
+  { headerKey: 'sales.columns.periodStart', type: 'date', value: row => row.period, width: 12 },
+  { headerKey: 'sales.columns.period', type: 'string', value: row => row.label, width: 18 },
+  { headerKey: 'sales.columns.revenue', type: 'currency', value: row => row.revenue },
+  { headerKey: 'sales.columns.expenses', type: 'currency', value: row => row.expenses },
+  { headerKey: 'sales.columns.profit', type: 'currency', value: row => row.profit },
+  { headerKey: 'sales.columns.margin', type: 'percent', value: row => roundTo(row.margin, 2) },
+  { headerKey: 'sales.columns.prior', type: 'currency', value: row => row.priorRevenue, width: 20 },
+  { headerKey: 'sales.columns.change', type: 'percent', value: row => roundTo(row.change, 2) },
+];
+
+// The actual (not forecast) periods inside the visible window.
+function toSalesExportRows(salesData, priorData, { start, end, locale }) {
+  const { periods, revenue, expenses, granularity } = salesData;
+  const profit = netProfit(revenue, expenses);
+  const margin = profitMargin(revenue, expenses);
+  const prior = priorData ? alignPriorRevenue(periods, priorData) : [];
+  return periods.slice(start, end + 1).map((period, offset) => {
+    const i = start + offset;
+    const priorRevenue = prior[i] ?? null;
+    return {
+      period,
+      label: formatPeriod(period, granularity, { long: true, locale }),
+      revenue: revenue[i],
+      expenses: expenses[i],
+      profit: profit[i],
+      margin: margin[i],
+      priorRevenue,
+      change: percentChange(revenue[i], priorRevenue),
+    };
+  });
+}
+
+function SalesRangeControls({ value, onChange }) {
+  const { t } = useI18n();
+  const invalid = value.from > value.to;
+
+  const handlePresetChange = (preset) => {
+    if (preset !== 'custom') onChange({ preset, ...presetRange(preset) });
+  };
+
+  return (
+    <div className="report-controls" data-report-exclude>
+      <select
+        value={value.preset}
+        onChange={(e) => handlePresetChange(e.target.value)}
+        aria-label={t('sales.range.label')}
+        className="report-select"
+      >
+        {DATE_RANGE_PRESETS.map(preset => <option key={preset.id} value={preset.id}>{t(preset.labelKey)}</option>)}
+        <option value="custom">{t('sales.range.custom')}</option>
+      </select>
+      <input
+        type="date"
+        value={value.from}
+        max={value.to}
+        onChange={(e) => e.target.value && onChange({ ...value, preset: 'custom', from: e.target.value })}
+        aria-label={t('sales.range.from')}
+        className={invalid ? 'report-date-input form-input-invalid' : 'report-date-input'}
+      />
+      <span className="report-controls-separator">{t('sales.range.separator')}</span>
+      <input
+        type="date"
+        value={value.to}
+        min={value.from}
+        onChange={(e) => e.target.value && onChange({ ...value, preset: 'custom', to: e.target.value })}
+        aria-label={t('sales.range.to')}
+        className={invalid ? 'report-date-input form-input-invalid' : 'report-date-input'}
+      />
+      <select
+        value={value.granularity}
+        onChange={(e) => onChange({ ...value, granularity: e.target.value })}
+        aria-label={t('sales.range.granularity')}
+        className="report-select"
+      >
+        {GRANULARITIES.map(g => <option key={g.id} value={g.id}>{t(g.labelKey)}</option>)}
+      </select>
+      {invalid && <p className="form-field-error">{t('sales.range.invalid')}</p>}
+    </div>
+  );
+}
+
+function SalesChartViewToggle({ value, onChange }) {
+  const { t } = useI18n();
+  return (
+    <div className="chart-view-toggle" role="radiogroup" aria-label={t('sales.chartType')}>
+      {SALES_CHART_VIEWS.map(({ id, labelKey, icon: Icon }) => (
+        <button
+          key={id}
+          type="button"
+          role="radio"
+          aria-checked={value === id}
+          onClick={() => onChange(id)}
+          className={value === id ? 'chart-view-button chart-view-button-active' : 'chart-view-button'}
+        >
+          <Icon className="chart-view-icon" />
+          {t(labelKey)}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+// Half the width of a range thumb; the overview chart is inset by this much
+// so its points line up with the handles.
+const BRUSH_INSET = 6;
+
+const brushChartOptions = {
+  responsive: true,
+  maintainAspectRatio: false,
+  animation: false,
+  events: [],
+  layout: { padding: { left: BRUSH_INSET, right: BRUSH_INSET } },
+  plugins: { legend: { display: false }, tooltip: { enabled: false } },
+  scales: { x: { display: false }, y: { display: false, beginAtZero: true } },
+};
+
+// An overview of the whole series with two handles that pick the sub-range
+// shown in the main chart.
+function SalesBrush({ labels, values, range, onChange, color }) {
+  const { t } = useI18n();
+  const last = labels.length - 1;
+  const position = (index) => `calc(${BRUSH_INSET}px + (100% - ${BRUSH_INSET * 2}px) * ${index / last})`;
+
+  const data = {
+    labels,
+    datasets: [{
+      data: values,
+      borderColor: `rgb(${color})`,
+      backgroundColor: `rgb(${color} / 0.15)`,
+      borderWidth: 1,
+      pointRadius: 0,
+      tension: 0.4,
+      fill: true,
+    }],
+  };
+
+  return (
+    <div className="sales-brush" dir="ltr" data-report-exclude>
+      <div className="sales-brush-chart">
+        <Line data={data} options={brushChartOptions} />
+      </div>
+      <div
+        className="sales-brush-selection"
+        style={{ left: position(range.start), right: `calc(100% - ${position(range.end)})` }}
+      />
+      <input
+        type="range"
+        min={0}
+        max={last}
+        value={range.start}
+        onChange={(e) => onChange({ start: Math.min(Number(e.target.value), range.end - 1), end: range.end })}
+        aria-label={t('sales.brushStart')}
+        aria-valuetext={labels[range.start]}
+        className="sales-brush-input"
+      />
+      <input
+        type="range"
+        min={0}
+        max={last}
+        value={range.end}
+        onChange={(e) => onChange({ start: range.start, end: Math.max(Number(e.target.value), range.start + 1) })}
+        aria-label={t('sales.brushEnd')}
+        aria-valuetext={labels[range.end]}
+        className="sales-brush-input"
+      />
+    </div>
+  );
+}
+
+function SalesReport() {
+  const [range, setRange] = useState(() => ({ preset: '12m', ...presetRange('12m') }));
+  // Keep showing the last valid range while the user fixes an inverted one.
+  const [params, setParams] = useState(() => ({ from: range.from, to: range.to, granularity: range.granularity }));
+  const sales = useSales(params);
+  const salesData = sales.data;
+  const [storedView, setView] = useUserPreference('salesChartView', 'area');
+  const view = SALES_VIEW_BARS[storedView] ? storedView : 'area';
+  const [zoom, setZoom] = useState(null);
+  const { data: priorData } = useSales({
+    ...params,
+    from: addPeriods(params.from, 'year', -1),
+    to: addPeriods(params.to, 'year', -1),
+  });
+
+  const handleRangeChange = (next) => {
+    setRange(next);
+    if (next.from <= next.to) setParams({ from: next.from, to: next.to, granularity: next.granularity });
+  };
+
+  const granularity = salesData?.granularity ?? params.granularity;
+  const periodCount = salesData?.periods.length ?? 0;
+  const denseSeries = periodCount > 60;
+  const forecastSteps = FORECAST_PERIODS[granularity];
+
+  const { colors } = useTheme().theme;
+  const { t, locale, dir } = useI18n();
+  const formatters = useFormatters();
+  const chartData = salesData
+    ? buildSalesChartData(salesData, priorData, { granularity, denseSeries, forecastSteps, view, colors, t, locale })
+    : null;
+
+  // The zoomed window is a pair of label indexes. It only applies to the
+  // series it was chosen on, so a new range or granularity starts unzoomed.
+  const lastIndex = chartData ? chartData.labels.length - 1 : 0;
+  const zoomKey = `${params.from}|${params.to}|${granularity}|${lastIndex}`;
+  const visibleRange = zoom?.key === zoomKey ? zoom : { start: 0, end: lastIndex };
+  const isZoomed = visibleRange.start > 0 || visibleRange.end < lastIndex;
+
+  const handleVisibleRangeChange = ({ start, end }) => setZoom({ key: zoomKey, start, end });
+
+  const getSalesExport = () => {
+    const visiblePeriods = { start: visibleRange.start, end: Math.min(visibleRange.end, periodCount - 1) };
+    return {
+      filename: `sales-${params.from}-to-${params.to}-${granularity}`,
+      sheet: t('sales.sheet'),
+      columns: SALES_EXPORT_COLUMNS,
+      rows: toSalesExportRows(salesData, priorData, { ...visiblePeriods, locale }),
+    };
+  };
+
+  const syncZoom = ({ chart }) => handleVisibleRangeChange({
+    start: Math.max(Math.round(chart.scales.x.min), 0),
+    end: Math.min(Math.round(chart.scales.x.max), lastIndex),
+  });
+
+  // The axes keep running left to right in right-to-left locales; only the
+  // legend and tooltip text follow the reading direction.
+  const rtl = dir === 'rtl';
 
   const chartOptions = {
     responsive: true,
     maintainAspectRatio: false,
+    locale,
     plugins: {
       legend: {
         position: 'top',
+        rtl,
         labels: {
           usePointStyle: true,
           padding: 15,
+          color: `rgb(${colors.chartText})`,
           font: { size: 12, weight: 500 }
         }
       },
       tooltip: {
-        backgroundColor: 'rgba(0, 0, 0, 0.8)',
+        rtl,
+        backgroundColor: `rgb(${colors.tooltip} / 0.9)`,
         padding: 12,
         titleFont: { size: 14, weight: 600 },
         bodyFont: { size: 13 },
+        // The forecast line starts on the last actual point; don't repeat it there.
+        filter: function(item) {
+          return !(item.dataset.forecast && item.dataIndex < periodCount);
+        },
         callbacks: {
+          title: function(items) {
+            return formatPeriod(chartData.periods[items[0].dataIndex], granularity, { long: true, locale });
+          },
           label: function(context) {
-            return context.dataset.label + ': $' + context.parsed.y.toLocaleString();
+            const { dataset, parsed, dataIndex } = context;
+            if (dataset.valueType === 'percent') return `${dataset.label}: ${formatters.percent(parsed.y)}`;
+            let label = `${dataset.label}: ${formatters.currency(parsed.y)}`;
+            if (dataset.comparison) {
+              const change = percentChange(dataset.comparison[dataIndex], parsed.y);
+              if (change !== null) label += ` ${t('sales.yoyChange', { change: formatters.change(change) })}`;
+            }
+            return label;
           }
         }
+      },
+      zoom: {
+        limits: { x: { min: 0, max: lastIndex, minRange: 2 } },
+        pan: { enabled: true, mode: 'x', onPanComplete: syncZoom },
+        zoom: {
+          wheel: { enabled: true, modifierKey: 'ctrl' },
+          pinch: { enabled: true },
+          mode: 'x',
+          onZoomComplete: syncZoom,
+        }
       }
     },
     scales: {
       y: {
+        stacked: view === 'stacked',
         beginAtZero: true,
         ticks: {
           callback: function(value) {
-            return '$' + (value / 1000) + 'k';
+            return formatters.compactCurrency(value);
+          },
+          color: `rgb(${colors.chartText})`,
+          font: { size: 11 }
+        },
+        grid: { color: `rgb(${colors.chartGrid})` }
+      },
+      margin: {
+        display: 'auto',
+        position: 'right',
+        ticks: {
+          callback: function(value) {
+            return formatters.percent(value);
           },
+          color: `rgb(${colors.chartText})`,
           font: { size: 11 }
         },
-        grid: { color: 'rgba(0, 0, 0, 0.05)' }
+        grid: { display: false }
       },
       x: {
+        min: isZoomed ? visibleRange.start : undefined,
+        max: isZoomed ? visibleRange.end : undefined,
+        stacked: view === 'stacked',
         grid: { display: false },
-        ticks: { font: { size: 11 } }
+        ticks: {
+          color: `rgb(${colors.chartText})`,
+          font: { size: 11 },
+          autoSkip: true,
+          maxRotation: 0,
+          maxTicksLimit: granularity === 'day' ? 10 : 12,
+        }
       }
     },
     interaction: {
@@ -521,532 +1709,1510 @@ function SalesReport() {
     }
   };
 
-  return (
-<<<<<<< HEAD
-    <div className="bg-white rounded-lg shadow">
-      <div className="p-6 border-b border-gray-200">
-        <div className="flex items-center justify-between">
-          <div className="flex items-center gap-3">
-            <div className="bg-blue-100 rounded-lg p-2">
-              <TrendingUp className="w-5 h-5 text-blue-600" />
-            </div>
-            <div>
-              <h2 className="text-xl font-semibold text-gray-900">Sales Report</h2>
-              <p className="text-sm text-gray-500">Revenue vs Expenses (2025)</p>
-=======
-    <div className="report-card">
-      <div className="report-header">
-        <div className="report-header-content">
-          <div className="report-title-wrapper">
-            <div className="report-icon-wrapper">
-              <TrendingUp className="report-icon" />
-            </div>
-            <div>
-              <h2 className="report-title">Sales Report</h2>
-              <p className="report-subtitle">Revenue vs Expenses (2025)</p>
->>>>>>> milestone-6
-            </div>
-          </div>
-          <button
-            onClick={() => refetch()}
-            disabled={isLoading || isFetching}
-<<<<<<< HEAD
-            className="flex items-center gap-2 px-4 py-2 text-sm bg-blue-500 text-white rounded-lg hover:bg-blue-600 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
-          >
-            <RefreshCw className={`w-4 h-4 ${isFetching ? 'animate-spin' : ''}`} />
-=======
-            className="refresh-button"
-          >
-            <RefreshCw className={isFetching ? "refresh-icon-spinning" : "refresh-icon"} />
->>>>>>> milestone-6
-            Refresh
-          </button>
-        </div>
-      </div>
+  const rangeLabel = `${formatDate(params.from, locale)} – ${formatDate(params.to, locale)}`;
 
-<<<<<<< HEAD
-      <div className="p-6">
-        {isLoading ? (
-          <div className="flex flex-col items-center justify-center py-12">
-            <Loader2 className="w-12 h-12 text-blue-500 animate-spin mb-4" />
-            <p className="text-gray-600 font-medium">Loading sales data...</p>
-          </div>
-        ) : isError ? (
-          <div className="flex flex-col items-center justify-center py-12">
-            <div className="bg-red-50 rounded-full p-3 mb-4">
-              <AlertCircle className="w-12 h-12 text-red-500" />
-            </div>
-            <h3 className="text-lg font-semibold text-gray-900 mb-2">Failed to Load Sales Data</h3>
-            <p className="text-sm text-gray-600 mb-4">{error.message}</p>
-            <button
-              onClick={() => refetch()}
-              className="flex items-center gap-2 px-4 py-2 bg-blue-500 text-white rounded-lg hover:bg-blue-600 transition-colors"
-            >
-              <RefreshCw className="w-4 h-4" />
-=======
-      <div className="report-content">
-        {isLoading ? (
-          <div className="report-loading">
-            <Loader2 className="loading-spinner-large" />
-            <p className="loading-text">Loading sales data...</p>
-          </div>
-        ) : isError ? (
-          <div className="report-error">
-            <div className="report-error-icon-wrapper">
-              <AlertCircle className="report-error-icon" />
+  return (
+    <WidgetCard
+      title={t('sales.title')}
+      subtitle={t('sales.subtitle', { range: rangeLabel })}
+      icon={TrendingUp}
+      query={sales}
+      loadingMessage={t('sales.loading')}
+      errorTitle={t('sales.error')}
+      actions={<ExportMenu getExport={getSalesExport} disabled={!salesData} />}
+      controls={<SalesRangeControls value={range} onChange={handleRangeChange} />}
+      reportRange={rangeLabel}
+    >
+      {() => (
+        <>
+          <div className="chart-toolbar" data-report-exclude>
+            <SalesChartViewToggle value={view} onChange={setView} />
+            <div className="chart-zoom-controls">
+              <span className="chart-zoom-hint">{t('sales.zoomHint')}</span>
+              <button onClick={() => setZoom(null)} disabled={!isZoomed} className="chart-zoom-reset">
+                <ZoomOut className="chart-zoom-reset-icon" />
+                {t('sales.resetZoom')}
+              </button>
             </div>
-            <h3 className="report-error-title">Failed to Load Sales Data</h3>
-            <p className="report-error-message">{error.message}</p>
-            <button onClick={() => refetch()} className="report-retry-button">
-              <RefreshCw className="retry-icon" />
->>>>>>> milestone-6
-              Try Again
-            </button>
           </div>
-        ) : (
           <div style={{ height: '400px' }}>
-            <Line data={chartData} options={chartOptions} />
+            <Chart
+              type={SALES_VIEW_BARS[view].length ? 'bar' : 'line'}
+              data={chartData}
+              options={chartOptions}
+            />
           </div>
-        )}
-      </div>
-    </div>
+          {lastIndex > 1 && (
+            <SalesBrush
+              labels={chartData.labels}
+              values={salesData.revenue}
+              color={colors.chartRevenue}
+              range={visibleRange}
+              onChange={handleVisibleRangeChange}
+            />
+          )}
+        </>
+      )}
+    </WidgetCard>
   );
 }
 
-function ActivityHeatmap() {
-  const { data: activityData, isLoading, isError, error, refetch, isFetching } = useActivityData();
-  const [hoveredCell, setHoveredCell] = useState(null);
-
-  const getColorClass = (value) => {
-<<<<<<< HEAD
-    if (value === 0) return 'bg-gray-100';
-    if (value < 25) return 'bg-green-200';
-    if (value < 50) return 'bg-green-300';
-    if (value < 75) return 'bg-green-400';
-    return 'bg-green-500';
-=======
-    if (value === 0) return 'heatmap-cell-none';
-    if (value < 25) return 'heatmap-cell-low';
-    if (value < 50) return 'heatmap-cell-medium';
-    if (value < 75) return 'heatmap-cell-high';
-    return 'heatmap-cell-very-high';
->>>>>>> milestone-6
-  };
+const ACTIVITY_EXPORT_COLUMNS = [
+  { headerKey: 'heatmap.columns.date', type: 'date', value: row => row.date, width: 12 },
+  { headerKey: 'heatmap.columns.weekday', type: 'string', value: row => row.weekday, width: 10 },
+  { headerKey: 'heatmap.columns.activity', type: 'number', value: row => row.count, width: 10 },
+];
 
-  const getIntensityLevel = (value) => {
-    if (value === 0) return 'None';
-    if (value < 25) return 'Low';
-    if (value < 50) return 'Medium';
-    if (value < 75) return 'High';
-    return 'Very High';
+// Above this many cells the heatmap is drawn on a canvas instead of one
+// DOM node per day.
+const CANVAS_CELL_THRESHOLD = 1000;
+
+// The hovered cell lives outside React state so that moving across the
+// grid only re-renders the tooltip.
+function createHoverStore() {
+  let hovered = null;
+  const listeners = new Set();
+  return {
+    get: () => hovered,
+    set: (cell) => {
+      if (cell === hovered) return;
+      hovered = cell;
+      listeners.forEach(listener => listener());
+    },
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
   };
+}
 
+// `describe` turns the hovered cell into { title, detail }.
+function HeatmapTooltip({ hoverStore, describe }) {
+  const cell = useSyncExternalStore(hoverStore.subscribe, hoverStore.get);
+  if (!cell) return null;
+  const { title, detail } = describe(cell);
   return (
-<<<<<<< HEAD
-    <div className="bg-white rounded-lg shadow">
-      <div className="p-6 border-b border-gray-200">
-        <div className="flex items-center justify-between">
-          <div className="flex items-center gap-3">
-            <div className="bg-green-100 rounded-lg p-2">
-              <Activity className="w-5 h-5 text-green-600" />
-            </div>
-            <div>
-              <h2 className="text-xl font-semibold text-gray-900">Activity Heatmap</h2>
-              <p className="text-sm text-gray-500">User engagement over the last 12 weeks</p>
-=======
-    <div className="heatmap-card">
-      <div className="heatmap-header">
-        <div className="heatmap-header-content">
-          <div className="heatmap-title-wrapper">
-            <div className="heatmap-icon-wrapper">
-              <Activity className="heatmap-icon" />
-            </div>
-            <div>
-              <h2 className="heatmap-title">Activity Heatmap</h2>
-              <p className="heatmap-subtitle">User engagement over the last 12 weeks</p>
->>>>>>> milestone-6
-            </div>
-          </div>
-          <button
-            onClick={() => refetch()}
-            disabled={isLoading || isFetching}
-<<<<<<< HEAD
-            className="flex items-center gap-2 px-4 py-2 text-sm bg-blue-500 text-white rounded-lg hover:bg-blue-600 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
-          >
-            <RefreshCw className={`w-4 h-4 ${isFetching ? 'animate-spin' : ''}`} />
-=======
-            className="refresh-button"
-          >
-            <RefreshCw className={isFetching ? "refresh-icon-spinning" : "refresh-icon"} />
->>>>>>> milestone-6
-            Refresh
-          </button>
-        </div>
-      </div>
-
-<<<<<<< HEAD
-      <div className="p-6">
-        {isLoading ? (
-          <div className="flex flex-col items-center justify-center py-12">
-            <Loader2 className="w-12 h-12 text-green-500 animate-spin mb-4" />
-            <p className="text-gray-600 font-medium">Loading activity data...</p>
-          </div>
-        ) : isError ? (
-          <div className="flex flex-col items-center justify-center py-12">
-            <div className="bg-red-50 rounded-full p-3 mb-4">
-              <AlertCircle className="w-12 h-12 text-red-500" />
-            </div>
-            <h3 className="text-lg font-semibold text-gray-900 mb-2">Failed to Load Activity Data</h3>
-            <p className="text-sm text-gray-600 mb-4">{error.message}</p>
-            <button
-              onClick={() => refetch()}
-              className="flex items-center gap-2 px-4 py-2 bg-blue-500 text-white rounded-lg hover:bg-blue-600 transition-colors"
-            >
-              <RefreshCw className="w-4 h-4" />
-=======
-      <div className="heatmap-content">
-        {isLoading ? (
-          <div className="heatmap-loading">
-            <Loader2 className="loading-spinner-green" />
-            <p className="loading-text">Loading activity data...</p>
-          </div>
-        ) : isError ? (
-          <div className="heatmap-error">
-            <div className="heatmap-error-icon-wrapper">
-              <AlertCircle className="heatmap-error-icon" />
-            </div>
-            <h3 className="heatmap-error-title">Failed to Load Activity Data</h3>
-            <p className="heatmap-error-message">{error.message}</p>
-            <button onClick={() => refetch()} className="heatmap-retry-button">
-              <RefreshCw className="retry-icon" />
->>>>>>> milestone-6
-              Try Again
-            </button>
-          </div>
-        ) : (
-<<<<<<< HEAD
-          <div className="space-y-6">
-            <div className="overflow-x-auto">
-              <div className="inline-block min-w-full">
-                <div className="flex gap-1">
-                  <div className="flex flex-col gap-1 pr-2">
-                    <div className="h-6"></div>
-                    {activityData.days.map((day, idx) => (
-                      <div key={idx} className="h-4 flex items-center text-xs text-gray-600 font-medium">
-=======
-          <div className="heatmap-wrapper">
-            <div className="heatmap-scroll-container">
-              <div className="heatmap-grid-wrapper">
-                <div className="heatmap-grid-container">
-                  <div className="heatmap-day-labels">
-                    <div className="heatmap-spacer"></div>
-                    {activityData.days.map((day, idx) => (
-                      <div key={idx} className="heatmap-day-label">
->>>>>>> milestone-6
-                        {day}
-                      </div>
-                    ))}
-                  </div>
-
-<<<<<<< HEAD
-                  <div className="flex gap-1">
-                    {Array.from({ length: activityData.weeks }).map((_, weekIdx) => (
-                      <div key={weekIdx} className="flex flex-col gap-1">
-                        <div className="h-6 flex items-center justify-center text-xs text-gray-500">
-=======
-                  <div className="heatmap-grid">
-                    {Array.from({ length: activityData.weeks }).map((_, weekIdx) => (
-                      <div key={weekIdx} className="heatmap-week-column">
-                        <div className="heatmap-week-label">
->>>>>>> milestone-6
-                          W{weekIdx + 1}
-                        </div>
-                        {activityData.days.map((_, dayIdx) => {
-                          const cellData = activityData.data.find(
-                            d => d.week === weekIdx && d.day === dayIdx
-                          );
-                          return (
-                            <div
-                              key={`${weekIdx}-${dayIdx}`}
-<<<<<<< HEAD
-                              className={`w-8 h-4 rounded-sm cursor-pointer transition-all hover:ring-2 hover:ring-blue-500 hover:scale-110 ${getColorClass(cellData?.value || 0)}`}
-=======
-                              className={`heatmap-cell ${getColorClass(cellData?.value || 0)}`}
->>>>>>> milestone-6
-                              onMouseEnter={() => setHoveredCell(cellData)}
-                              onMouseLeave={() => setHoveredCell(null)}
-                              title={`${cellData?.dayName}, Week ${weekIdx + 1}: ${cellData?.value || 0} activities`}
-                            />
-                          );
-                        })}
-                      </div>
-                    ))}
-                  </div>
-                </div>
-              </div>
-            </div>
-
-            {hoveredCell && (
-<<<<<<< HEAD
-              <div className="bg-gray-800 text-white px-4 py-2 rounded-lg text-sm">
-                <div className="font-semibold">{hoveredCell.dayName}, Week {hoveredCell.week + 1}</div>
-                <div className="text-gray-300">
-=======
-              <div className="heatmap-tooltip">
-                <div className="heatmap-tooltip-title">{hoveredCell.dayName}, Week {hoveredCell.week + 1}</div>
-                <div className="heatmap-tooltip-content">
->>>>>>> milestone-6
-                  {hoveredCell.value} activities · {getIntensityLevel(hoveredCell.value)} intensity
-                </div>
-              </div>
-            )}
-
-<<<<<<< HEAD
-            <div className="flex items-center justify-between pt-4 border-t border-gray-200">
-              <div className="text-sm text-gray-600">Activity Level:</div>
-              <div className="flex items-center gap-2">
-                <span className="text-xs text-gray-500">Low</span>
-                <div className="flex gap-1">
-                  <div className="w-6 h-6 rounded bg-gray-100 border border-gray-300"></div>
-                  <div className="w-6 h-6 rounded bg-green-200"></div>
-                  <div className="w-6 h-6 rounded bg-green-300"></div>
-                  <div className="w-6 h-6 rounded bg-green-400"></div>
-                  <div className="w-6 h-6 rounded bg-green-500"></div>
-                </div>
-                <span className="text-xs text-gray-500">High</span>
-              </div>
-            </div>
+    <div className="heatmap-tooltip">
+      <div className="heatmap-tooltip-title">{title}</div>
+      <div className="heatmap-tooltip-content">{detail}</div>
+    </div>
+  );
+}
 
-            <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 pt-4 border-t border-gray-200">
-              <div className="text-center">
-                <div className="text-2xl font-bold text-gray-900">
-                  {activityData.data.reduce((sum, d) => sum + d.value, 0)}
-                </div>
-                <div className="text-sm text-gray-500">Total Activities</div>
-              </div>
-              <div className="text-center">
-                <div className="text-2xl font-bold text-gray-900">
-                  {Math.round(activityData.data.reduce((sum, d) => sum + d.value, 0) / activityData.data.length)}
-                </div>
-                <div className="text-sm text-gray-500">Daily Average</div>
-              </div>
-              <div className="text-center">
-                <div className="text-2xl font-bold text-gray-900">
-                  {Math.max(...activityData.data.map(d => d.value))}
-                </div>
-                <div className="text-sm text-gray-500">Peak Activity</div>
-=======
-            <div className="heatmap-legend-wrapper">
-              <div className="heatmap-legend-label">Activity Level:</div>
-              <div className="heatmap-legend">
-                <span className="heatmap-legend-text">Low</span>
-                <div className="heatmap-legend-colors">
-                  <div className="heatmap-legend-color heatmap-legend-none"></div>
-                  <div className="heatmap-legend-color heatmap-legend-low"></div>
-                  <div className="heatmap-legend-color heatmap-legend-medium"></div>
-                  <div className="heatmap-legend-color heatmap-legend-high"></div>
-                  <div className="heatmap-legend-color heatmap-legend-very-high"></div>
-                </div>
-                <span className="heatmap-legend-text">High</span>
-              </div>
-            </div>
+const HeatmapCell = memo(function HeatmapCell({ date, count, color, focusable, selected }) {
+  const { t, locale } = useI18n();
+  return (
+    <div
+      data-date={date}
+      role="button"
+      tabIndex={focusable ? 0 : -1}
+      aria-pressed={selected}
+      className={selected ? 'heatmap-cell heatmap-cell-selected' : 'heatmap-cell'}
+      style={{ backgroundColor: color }}
+      title={`${formatPeriod(date, 'day', { long: true, locale })}: ${t('heatmap.activities', { count })}`}
+    />
+  );
+});
 
-            <div className="heatmap-stats">
-              <div className="heatmap-stat">
-                <div className="heatmap-stat-value">
-                  {activityData.data.reduce((sum, d) => sum + d.value, 0)}
-                </div>
-                <div className="heatmap-stat-label">Total Activities</div>
-              </div>
-              <div className="heatmap-stat">
-                <div className="heatmap-stat-value">
-                  {Math.round(activityData.data.reduce((sum, d) => sum + d.value, 0) / activityData.data.length)}
-                </div>
-                <div className="heatmap-stat-label">Daily Average</div>
-              </div>
-              <div className="heatmap-stat">
-                <div className="heatmap-stat-value">
-                  {Math.max(...activityData.data.map(d => d.value))}
-                </div>
-                <div className="heatmap-stat-label">Peak Activity</div>
->>>>>>> milestone-6
-              </div>
-            </div>
-          </div>
-        )}
-      </div>
+function HeatmapLegend({ scale, label }) {
+  return (
+    <div className="heatmap-legend-wrapper">
+      <div className="heatmap-legend-label">{label}</div>
+      <ul className="heatmap-legend">
+        {scale.buckets.map(bucket => (
+          <li key={bucket.label} className="heatmap-legend-item">
+            <span className="heatmap-legend-color" style={{ backgroundColor: bucket.color }} />
+            <span className="heatmap-legend-text">{bucket.label}</span>
+          </li>
+        ))}
+      </ul>
     </div>
   );
 }
 
-function UsersTab() {
-  const { data: users = [], isLoading, isError, error, refetch, isFetching } = useUsers();
+// The day keyboard focus starts on: the selected day if it is in range,
+// otherwise the most recent one.
+function initialFocusDate(calendar, selectedDate) {
+  if (calendar.cellsByDate.has(selectedDate)) return selectedDate;
+  return [...calendar.cellsByDate.keys()].pop();
+}
+
+// Open the selected day with Enter or Space, close it with Escape.
+function handleSelectionKeys(e, date, onSelect) {
+  if (e.key === 'Enter' || e.key === ' ') onSelect(date);
+  else if (e.key === 'Escape') onSelect(null);
+  else return false;
+  e.preventDefault();
+  return true;
+}
+
+// Hover, clicks and keys are handled once for the whole grid; cells only
+// carry their date. A single cell is in the tab order at a time and the
+// arrow keys move it (see moveInCalendar).
+const HeatmapGrid = memo(function HeatmapGrid({ calendar, scale, hoverStore, selectedDate, onSelect }) {
+  const { t } = useI18n();
+  const gridRef = useRef(null);
+  const [activeDate, setActiveDate] = useState(null);
+  const focusDate = calendar.cellsByDate.has(activeDate) ? activeDate : initialFocusDate(calendar, selectedDate);
+  const cellAt = (e) => calendar.cellsByDate.get(e.target.dataset.date) ?? null;
+  const handleMouseOver = (e) => hoverStore.set(cellAt(e));
+
+  const handleClick = (e) => {
+    const cell = cellAt(e);
+    if (!cell) return;
+    setActiveDate(cell.date);
+    onSelect(cell.date);
+  };
+
+  const handleFocus = (e) => {
+    const cell = cellAt(e);
+    if (cell) setActiveDate(cell.date);
+    hoverStore.set(cell);
+  };
+
+  const handleKeyDown = (e) => {
+    if (!cellAt(e) || handleSelectionKeys(e, focusDate, onSelect)) return;
+    const next = moveInCalendar(calendar, focusDate, e.key);
+    if (!next) return;
+    e.preventDefault();
+    setActiveDate(next);
+    gridRef.current.querySelector(`[data-date="${next}"]`)?.focus();
+  };
 
   return (
-<<<<<<< HEAD
-    <div className="bg-white rounded-lg shadow">
-      <div className="p-6 border-b border-gray-200">
-        <div className="flex items-center justify-between">
-          <h2 className="text-xl font-semibold text-gray-900">Users</h2>
-          <button
-            onClick={() => refetch()}
-            disabled={isLoading || isFetching}
-            className="flex items-center gap-2 px-4 py-2 text-sm bg-blue-500 text-white rounded-lg hover:bg-blue-600 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
-          >
-            <RefreshCw className={`w-4 h-4 ${isFetching ? 'animate-spin' : ''}`} />
-=======
-    <div className="users-tab">
-      <div className="users-header">
-        <div className="users-header-content">
-          <h2 className="users-title">Users</h2>
-          <button
-            onClick={() => refetch()}
-            disabled={isLoading || isFetching}
-            className="refresh-button"
-          >
-            <RefreshCw className={isFetching ? "refresh-icon-spinning" : "refresh-icon"} />
->>>>>>> milestone-6
-            Refresh
-          </button>
-        </div>
+    <div className={calendar.weeks.length > 16 ? 'heatmap-grid-container' : 'heatmap-grid-container heatmap-grid-container-wide'}>
+      <div className="heatmap-day-labels">
+        <div className="heatmap-spacer"></div>
+        {calendar.dayNames.map(day => (
+          <div key={day} className="heatmap-day-label">
+            {day}
+          </div>
+        ))}
       </div>
 
-<<<<<<< HEAD
-      <div className="p-6">
-=======
-      <div className="users-content">
->>>>>>> milestone-6
-        {isLoading ? (
-          <LoadingState />
-        ) : isError ? (
-          <ErrorState error={error.message} onRetry={refetch} />
-        ) : users.length === 0 ? (
-<<<<<<< HEAD
-          <div className="text-center py-12 text-gray-500">No users found</div>
-        ) : (
-          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
-=======
-          <div className="users-empty">No users found</div>
-        ) : (
-          <div className="users-grid">
->>>>>>> milestone-6
-            {users.map((user) => (
-              <UserCard key={user.id} user={user} />
+      <div
+        ref={gridRef}
+        role="group"
+        aria-label={t('heatmap.gridLabel')}
+        className="heatmap-grid"
+        onMouseOver={handleMouseOver}
+        onMouseLeave={() => hoverStore.set(null)}
+        onClick={handleClick}
+        onFocus={handleFocus}
+        onBlur={() => hoverStore.set(null)}
+        onKeyDown={handleKeyDown}
+      >
+        {calendar.weeks.map(week => (
+          <div key={week.start} className="heatmap-week-column">
+            <div className="heatmap-month-label">
+              {week.label}
+            </div>
+            {week.cells.map((cell, dayIdx) => cell ? (
+              <HeatmapCell
+                key={cell.date}
+                date={cell.date}
+                count={cell.count}
+                color={scale.colorFor(cell.count)}
+                focusable={cell.date === focusDate}
+                selected={cell.date === selectedDate}
+              />
+            ) : (
+              <div key={`empty-${dayIdx}`} className="heatmap-cell-empty" />
             ))}
           </div>
-        )}
+        ))}
       </div>
     </div>
   );
-}
+});
+
+const HourlyHeatmapGrid = memo(function HourlyHeatmapGrid({ grid, scale, hoverStore }) {
+  const { t } = useI18n();
+  const handleMouseOver = (e) => hoverStore.set(grid.cellsById.get(e.target.dataset.cell) ?? null);
 
-function TabButton({ active, icon: Icon, label, onClick }) {
   return (
-<<<<<<< HEAD
-    <button
-      onClick={onClick}
-      className={`flex items-center gap-2 px-6 py-3 font-medium transition-all border-b-2 ${
-        active
-          ? 'text-blue-600 border-blue-600'
-          : 'text-gray-500 border-transparent hover:text-gray-700 hover:border-gray-300'
-      }`}
-    >
-      <Icon className="w-5 h-5" />
-=======
-    <button onClick={onClick} className={active ? "tab-button tab-button-active" : "tab-button"}>
-      <Icon className="tab-icon" />
->>>>>>> milestone-6
-      {label}
-    </button>
-  );
-}
+    <div className="hourly-grid" onMouseOver={handleMouseOver} onMouseLeave={() => hoverStore.set(null)}>
+      <div className="hourly-hour-label">{t('heatmap.timeZone')}</div>
+      {grid.hourLabels.map((label, hour) => (
+        <div key={hour} className="hourly-hour-label">
+          {hour % 3 === 0 ? label : ''}
+        </div>
+      ))}
+      {grid.rows.map((row, i) => [
+        <div key={`label-${row.weekday}`} className="heatmap-day-label">{grid.dayNames[i]}</div>,
+        ...row.cells.map(cell => (
+          <div
+            key={cell.id}
+            data-cell={cell.id}
+            className="hourly-cell"
+            style={{ backgroundColor: scale.colorFor(cell.count) }}
+          />
+        )),
+      ])}
+    </div>
+  );
+});
 
-function Dashboard() {
-  const { user, logout } = useAuth();
-  const { data: users = [], isLoading, isFetching, dataUpdatedAt } = useUsers();
-  const [activeTab, setActiveTab] = useState('overview');
+const CANVAS_CELL = 11;
+const CANVAS_GAP = 3;
+const CANVAS_LABEL_WIDTH = 32;
+const CANVAS_LABEL_HEIGHT = 18;
+
+// The canvas is a single tab stop; the arrow keys move a drawn focus ring
+// and the tooltip describes the day under it.
+const HeatmapCanvas = memo(function HeatmapCanvas({ calendar, scale, colors, hoverStore, selectedDate, onSelect }) {
+  const { t, locale } = useI18n();
+  const canvasRef = useRef(null);
+  const [activeDate, setActiveDate] = useState(null);
+  const [focused, setFocused] = useState(false);
+  const focusDate = calendar.cellsByDate.has(activeDate) ? activeDate : initialFocusDate(calendar, selectedDate);
+  const step = CANVAS_CELL + CANVAS_GAP;
+  const width = CANVAS_LABEL_WIDTH + calendar.weeks.length * step;
+  const height = CANVAS_LABEL_HEIGHT + 7 * step;
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const ratio = window.devicePixelRatio || 1;
+    canvas.width = width * ratio;
+    canvas.height = height * ratio;
+    const ctx = canvas.getContext('2d');
+    ctx.scale(ratio, ratio);
+    ctx.clearRect(0, 0, width, height);
+    ctx.font = '10px system-ui, sans-serif';
+    ctx.textBaseline = 'middle';
+    ctx.fillStyle = `rgb(${colors.fgSubtle})`;
+
+    calendar.dayNames.forEach((day, row) => {
+      if (row % 2 === 1) ctx.fillText(day, 0, CANVAS_LABEL_HEIGHT + row * step + CANVAS_CELL / 2);
+    });
+    calendar.weeks.forEach((week, column) => {
+      const x = CANVAS_LABEL_WIDTH + column * step;
+      if (week.label) {
+        ctx.fillStyle = `rgb(${colors.fgSubtle})`;
+        ctx.fillText(week.label, x, CANVAS_LABEL_HEIGHT / 2);
+      }
+      week.cells.forEach((cell, row) => {
+        if (!cell) return;
+        ctx.fillStyle = scale.colorFor(cell.count);
+        ctx.fillRect(x, CANVAS_LABEL_HEIGHT + row * step, CANVAS_CELL, CANVAS_CELL);
+      });
+    });
+
+    const outline = (date, color) => {
+      const cell = calendar.cellsByDate.get(date);
+      if (!cell) return;
+      ctx.strokeStyle = color;
+      ctx.lineWidth = 2;
+      ctx.strokeRect(CANVAS_LABEL_WIDTH + cell.week * step - 1, CANVAS_LABEL_HEIGHT + cell.row * step - 1, CANVAS_CELL + 2, CANVAS_CELL + 2);
+    };
+    outline(selectedDate, `rgb(${colors.fg})`);
+    if (focused) outline(focusDate, `rgb(${colors.focus})`);
+  }, [calendar, scale, colors, width, height, step, selectedDate, focusDate, focused]);
+
+  const cellAt = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    const column = Math.floor((e.clientX - rect.left - CANVAS_LABEL_WIDTH) / step);
+    const row = Math.floor((e.clientY - rect.top - CANVAS_LABEL_HEIGHT) / step);
+    return calendar.weeks[column]?.cells[row] ?? null;
+  };
+
+  const handleClick = (e) => {
+    const cell = cellAt(e);
+    if (!cell) return;
+    setActiveDate(cell.date);
+    onSelect(cell.date);
+  };
+
+  const handleKeyDown = (e) => {
+    if (handleSelectionKeys(e, focusDate, onSelect)) return;
+    const next = moveInCalendar(calendar, focusDate, e.key);
+    if (!next) return;
+    e.preventDefault();
+    setActiveDate(next);
+    hoverStore.set(calendar.cellsByDate.get(next));
+  };
+
+  const handleFocus = () => {
+    setFocused(true);
+    hoverStore.set(calendar.cellsByDate.get(focusDate));
+  };
+
+  const handleBlur = () => {
+    setFocused(false);
+    hoverStore.set(null);
+  };
+
+  const activeCell = focused && calendar.cellsByDate.get(focusDate);
 
   return (
-<<<<<<< HEAD
-    <div className="min-h-screen bg-gray-50">
-      <div className="bg-white border-b border-gray-200 sticky top-0 z-10 shadow-sm">
-        <div className="max-w-6xl mx-auto px-6">
-          <div className="flex items-center justify-between py-4">
+    <>
+      <canvas
+        ref={canvasRef}
+        style={{ width, height }}
+        tabIndex={0}
+        onMouseMove={(e) => hoverStore.set(cellAt(e))}
+        onMouseLeave={() => hoverStore.set(null)}
+        onClick={handleClick}
+        onKeyDown={handleKeyDown}
+        onFocus={handleFocus}
+        onBlur={handleBlur}
+        role="application"
+        aria-label={t('heatmap.canvasLabel', { count: calendar.cellsByDate.size })}
+        className="heatmap-canvas"
+      />
+      <span className="heatmap-canvas-status" aria-live="polite">
+        {activeCell && `${formatPeriod(activeCell.date, 'day', { long: true, locale })}: ${t('heatmap.activities', { count: activeCell.count })}`}
+      </span>
+    </>
+  );
+});
+
+const DAY_USER_LIMIT = 8;
+
+// The day is a UTC calendar day, so its event times are UTC too.
+const formatEventTime = (iso, locale) => new Date(iso).toLocaleTimeString(locale, { hour: 'numeric', minute: '2-digit', timeZone: 'UTC', timeZoneName: 'short' });
+
+// Breakdown of a single day's events by type and by user, plus the most
+// recent events themselves.
+function ActivityDayPanel({ date, onClose }) {
+  const { hasPermission } = useAuth();
+  const { t, locale, errorMessage } = useI18n();
+  const formatters = useFormatters();
+  const { data, isPending, isPaused, isError, error, refetch } = useActivityDay(date);
+  const canViewUsers = hasPermission('users:read');
+  // Types the catalogs don't know keep the label the API sent.
+  const typeLabels = new Map(data?.byType.map(item => [item.type, t(`activityDay.types.${item.type}`, { fallback: item.label })]));
+  const share = (count) => `${data.total ? (count / data.total) * 100 : 0}%`;
+  const title = formatPeriod(date, 'day', { long: true, locale });
+
+  return (
+    <section
+      className="activity-day-panel"
+      aria-label={t('activityDay.label', { date: title })}
+      onKeyDown={(e) => e.key === 'Escape' && onClose()}
+      data-report-exclude
+    >
+      <div className="activity-day-header">
+        <div>
+          <h3 className="activity-day-title">{title}</h3>
+          <p className="activity-day-subtitle">
+            {data ? t('heatmap.activities', { count: data.total }) : t('activityDay.loading')}
+          </p>
+        </div>
+        <button type="button" onClick={onClose} className="activity-day-close" aria-label={t('activityDay.close')}>
+          <X className="activity-day-close-icon" />
+        </button>
+      </div>
+
+      {isPending ? (
+        <LoadingState message={t('activityDay.loading')} paused={isPaused} />
+      ) : isError ? (
+        <ErrorState title={t('activityDay.error')} error={errorMessage(error)} onRetry={() => refetch()} />
+      ) : !data.total ? (
+        <p className="activity-day-empty">{t('activityDay.empty')}</p>
+      ) : (
+        <>
+          <div className="activity-day-breakdowns">
             <div>
-              <h1 className="text-2xl font-bold text-gray-900">User Dashboard</h1>
-              <p className="text-sm text-gray-600">Welcome back, {user?.name || 'User'}</p>
+              <h4 className="activity-day-heading">{t('activityDay.byType')}</h4>
+              <ul className="activity-day-list">
+                {data.byType.map(item => (
+                  <li key={item.type} className="activity-day-row">
+                    <span className="activity-day-name">{typeLabels.get(item.type)}</span>
+                    <span className="activity-day-bar">
+                      <span className="activity-day-bar-fill" style={{ width: share(item.count) }} />
+                    </span>
+                    <span className="activity-day-count">{formatters.number(item.count)}</span>
+                  </li>
+                ))}
+              </ul>
             </div>
-            <div className="flex items-center gap-4">
-              {isFetching && !isLoading && (
-                <div className="flex items-center gap-2 text-blue-600 text-sm">
-                  <Loader2 className="w-4 h-4 animate-spin" />
-                  <span>Syncing data...</span>
-                </div>
+            <div>
+              <h4 className="activity-day-heading">{t('activityDay.byUser')}</h4>
+              <ul className="activity-day-list">
+                {data.byUser.slice(0, DAY_USER_LIMIT).map(item => (
+                  <li key={item.userId} className="activity-day-row">
+                    {canViewUsers ? (
+                      <Link to={`/users/${item.userId}`} className="activity-day-name activity-day-link">{item.name}</Link>
+                    ) : (
+                      <span className="activity-day-name">{item.name}</span>
+                    )}
+                    <span className="activity-day-bar">
+                      <span className="activity-day-bar-fill" style={{ width: share(item.count) }} />
+                    </span>
+                    <span className="activity-day-count">{formatters.number(item.count)}</span>
+                  </li>
+                ))}
+              </ul>
+              {data.byUser.length > DAY_USER_LIMIT && (
+                <p className="activity-day-note">{t('activityDay.moreUsers', { count: data.byUser.length - DAY_USER_LIMIT })}</p>
               )}
+            </div>
+          </div>
+
+          <div>
+            <h4 className="activity-day-heading">{t('activityDay.recent')}</h4>
+            <ol className="activity-day-events">
+              {data.events.map(event => (
+                <li key={event.id} className="activity-day-event">
+                  <time dateTime={event.time} className="activity-day-event-time">{formatEventTime(event.time, locale)}</time>
+                  <span className="activity-day-event-type">{typeLabels.get(event.type) ?? event.type}</span>
+                  <span className="activity-day-event-user">{event.name}</span>
+                </li>
+              ))}
+            </ol>
+            {data.total > data.events.length && (
+              <p className="activity-day-note">
+                {t('activityDay.showing', { shown: data.events.length, total: data.total })}
+              </p>
+            )}
+          </div>
+        </>
+      )}
+    </section>
+  );
+}
+
+const HOURLY_EXPORT_COLUMNS = [
+  { headerKey: 'heatmap.columns.weekday', type: 'string', value: row => row.weekday, width: 10 },
+  { headerKey: 'heatmap.columns.hour', type: 'number', value: row => row.hour, width: 6 },
+  { headerKey: 'heatmap.columns.activity', type: 'number', value: row => row.count, width: 10 },
+  { headerKey: 'heatmap.columns.average', type: 'number', value: row => roundTo(row.average, 1), width: 16 },
+];
+
+const ACTIVITY_VIEWS = [
+  { id: 'calendar', labelKey: 'heatmap.views.calendar', icon: CalendarDays },
+  { id: 'hourly', labelKey: 'heatmap.views.hourly', icon: Clock },
+];
+
+function ActivityHeatmap() {
+  const [weeks, setWeeks] = useUserPreference('activityWeeks', 12);
+  const [weekStart, setWeekStart] = useUserPreference('activityWeekStart', 0);
+  const [scaleType, setScaleType] = useUserPreference('activityColorScale', 'quantile');
+  const [palette, setPalette] = useUserPreference('activityPalette', 'green');
+  const [view, setView] = useUserPreference('activityView', 'calendar');
+  const hourlyView = view === 'hourly';
+  const range = activityRange(weeks);
+  const daily = useActivityData(range);
+  const hourly = useHourlyActivity(range, { enabled: hourlyView });
+  const query = hourlyView ? hourly : daily;
+  const activityData = daily.data;
+  const hourlyData = hourly.data;
+  const [hoverStore] = useState(createHoverStore);
+  const [selectedDate, setSelectedDate] = useState(null);
+  const gridWrapperRef = useRef(null);
+  const { theme } = useTheme();
+  const { t, locale } = useI18n();
+  const formatters = useFormatters();
+  // Indexed from Sunday.
+  const longWeekdayNames = useMemo(() => weekdayNames(0, { format: 'long', locale }), [locale]);
+
+  const records = activityData?.records;
+  const calendar = useMemo(
+    () => activityData && buildActivityCalendar(activityData.records, { ...activityData, weekStart, locale }),
+    [activityData, weekStart, locale]
+  );
+  const hourlyGrid = useMemo(
+    () => hourlyData && buildHourlyGrid(hourlyData, { weekStart, locale }),
+    [hourlyData, weekStart, locale]
+  );
+  const scale = useMemo(() => {
+    const counts = hourlyView ? (hourlyData?.hours.flat() ?? []) : (records ?? []).map(record => record.count);
+    return createColorScale(counts, {
+      type: scaleType,
+      palette,
+      scheme: theme.scheme,
+      emptyColor: `rgb(${theme.colors.heatmapEmpty})`,
+      locale,
+    });
+  }, [hourlyView, hourlyData, records, scaleType, palette, theme, locale]);
+  const stats = useMemo(() => {
+    const counts = (records ?? []).map(record => record.count);
+    const total = counts.reduce((sum, count) => sum + count, 0);
+    return {
+      total,
+      average: counts.length ? Math.round(total / counts.length) : 0,
+      peak: counts.reduce((max, count) => Math.max(max, count), 0),
+    };
+  }, [records]);
+  const shownData = hourlyView ? hourlyData : activityData;
+  const rangeLabel = shownData ? `${formatDate(shownData.from, locale)} – ${formatDate(shownData.to, locale)}` : '';
+
+  const getActivityExport = () => (hourlyView ? {
+    filename: `activity-by-hour-${hourlyData.from}-to-${hourlyData.to}`,
+    sheet: t('heatmap.sheetHourly'),
+    columns: HOURLY_EXPORT_COLUMNS,
+    rows: hourlyGrid.rows.flatMap(row => row.cells.map(cell => ({ ...cell, weekday: longWeekdayNames[cell.weekday] }))),
+  } : {
+    filename: `activity-${activityData.from}-to-${activityData.to}`,
+    sheet: t('heatmap.sheet'),
+    columns: ACTIVITY_EXPORT_COLUMNS,
+    rows: records.map(record => ({ ...record, weekday: weekdayName(record.date, locale) })),
+  });
+
+  const describeDay = (cell) => ({
+    title: formatPeriod(cell.date, 'day', { long: true, locale }),
+    detail: `${t('heatmap.activities', { count: cell.count })} · ${t('heatmap.band', { range: scale.levelFor(cell.count).label })}`,
+  });
+
+  const describeHour = (cell) => ({
+    title: t('heatmap.hourRange', {
+      weekday: longWeekdayNames[cell.weekday],
+      from: formatHour(cell.hour, locale),
+      to: formatHour((cell.hour + 1) % 24, locale),
+    }),
+    detail: `${t('heatmap.activities', { count: cell.count })} · ${t('heatmap.hourAverage', {
+      average: formatters.decimal(cell.average),
+      weekday: longWeekdayNames[cell.weekday],
+    })}`,
+  });
+
+  const handleViewChange = (next) => {
+    hoverStore.set(null);
+    setView(next);
+  };
+
+  // Closing from inside the panel would otherwise drop focus to the page.
+  const closeDayPanel = () => {
+    setSelectedDate(null);
+    gridWrapperRef.current?.querySelector('[tabindex="0"]')?.focus();
+  };
+
+  const subtitle = hourlyView ? t('heatmap.subtitleHourly') : t('heatmap.subtitle');
+
+  // The grids are laid out left to right in every locale so that time runs
+  // the same way as in the sales chart.
+  return (
+    <WidgetCard
+      title={t('heatmap.title')}
+      subtitle={rangeLabel ? `${subtitle} · ${rangeLabel}` : subtitle}
+      icon={Activity}
+      tone="success"
+      query={query}
+      loadingMessage={t('heatmap.loading')}
+      errorTitle={t('heatmap.error')}
+      actions={<ExportMenu getExport={getActivityExport} disabled={!shownData} />}
+      controls={(
+        <div className="heatmap-controls" data-report-exclude>
+          <div className="chart-view-toggle" role="radiogroup" aria-label={t('heatmap.viewLabel')}>
+            {ACTIVITY_VIEWS.map(({ id, labelKey, icon: Icon }) => (
               <button
-                onClick={logout}
-                className="flex items-center gap-2 px-4 py-2 text-sm bg-red-500 text-white rounded-lg hover:bg-red-600 transition-colors"
+                key={id}
+                type="button"
+                role="radio"
+                aria-checked={view === id}
+                onClick={() => handleViewChange(id)}
+                className={view === id ? 'chart-view-button chart-view-button-active' : 'chart-view-button'}
               >
-                <LogOut className="w-4 h-4" />
-=======
+                <Icon className="chart-view-icon" />
+                {t(labelKey)}
+              </button>
+            ))}
+          </div>
+          <select
+            value={weeks}
+            onChange={(e) => setWeeks(Number(e.target.value))}
+            aria-label={t('heatmap.rangeLabel')}
+            className="heatmap-select"
+          >
+            {ACTIVITY_RANGES.map(option => <option key={option.weeks} value={option.weeks}>{t(option.labelKey)}</option>)}
+          </select>
+          <label className="heatmap-control-label">
+            {t('heatmap.weekStart')}
+            <select
+              value={weekStart}
+              onChange={(e) => setWeekStart(Number(e.target.value))}
+              className="heatmap-select"
+            >
+              {WEEK_START_DAYS.map(day => <option key={day} value={day}>{longWeekdayNames[day]}</option>)}
+            </select>
+          </label>
+          <label className="heatmap-control-label">
+            {t('heatmap.scale')}
+            <select
+              value={scaleType}
+              onChange={(e) => setScaleType(e.target.value)}
+              className="heatmap-select"
+            >
+              {SCALE_TYPES.map(type => <option key={type.id} value={type.id}>{t(type.labelKey)}</option>)}
+            </select>
+          </label>
+          <label className="heatmap-control-label">
+            {t('heatmap.colors')}
+            <select
+              value={palette}
+              onChange={(e) => setPalette(e.target.value)}
+              className="heatmap-select"
+            >
+              {PALETTES.map(option => <option key={option.id} value={option.id}>{t(option.labelKey)}</option>)}
+            </select>
+          </label>
+        </div>
+      )}
+      reportRange={rangeLabel}
+    >
+      {() => (
+        <div className="heatmap-wrapper">
+          <div className="heatmap-scroll-container" dir="ltr">
+            <div ref={gridWrapperRef} className="heatmap-grid-wrapper">
+              {hourlyView ? (
+                <HourlyHeatmapGrid grid={hourlyGrid} scale={scale} hoverStore={hoverStore} />
+              ) : calendar.weeks.length * 7 > CANVAS_CELL_THRESHOLD ? (
+                <HeatmapCanvas calendar={calendar} scale={scale} colors={theme.colors} hoverStore={hoverStore} selectedDate={selectedDate} onSelect={setSelectedDate} />
+              ) : (
+                <HeatmapGrid calendar={calendar} scale={scale} hoverStore={hoverStore} selectedDate={selectedDate} onSelect={setSelectedDate} />
+              )}
+            </div>
+          </div>
+
+          <HeatmapTooltip hoverStore={hoverStore} describe={hourlyView ? describeHour : describeDay} />
+
+          <HeatmapLegend scale={scale} label={hourlyView ? t('heatmap.legendHourly') : t('heatmap.legend')} />
+
+          {!hourlyView && selectedDate && <ActivityDayPanel date={selectedDate} onClose={closeDayPanel} />}
+
+          {hourlyView ? (
+            <div className="heatmap-stats">
+              <div className="heatmap-stat">
+                <div className="heatmap-stat-value">
+                  {formatters.number(hourlyGrid.total)}
+                </div>
+                <div className="heatmap-stat-label">{t('heatmap.stats.total')}</div>
+              </div>
+              <div className="heatmap-stat">
+                <div className="heatmap-stat-value">
+                  {formatHour(hourlyGrid.peakHour, locale)}
+                </div>
+                <div className="heatmap-stat-label">{t('heatmap.stats.peakHour')}</div>
+              </div>
+              <div className="heatmap-stat">
+                <div className="heatmap-stat-value">
+                  {longWeekdayNames[hourlyGrid.busiestWeekday]}
+                </div>
+                <div className="heatmap-stat-label">{t('heatmap.stats.busiestWeekday')}</div>
+              </div>
+            </div>
+          ) : (
+            <div className="heatmap-stats">
+              <div className="heatmap-stat">
+                <div className="heatmap-stat-value">
+                  {formatters.number(stats.total)}
+                </div>
+                <div className="heatmap-stat-label">{t('heatmap.stats.total')}</div>
+              </div>
+              <div className="heatmap-stat">
+                <div className="heatmap-stat-value">
+                  {formatters.number(stats.average)}
+                </div>
+                <div className="heatmap-stat-label">{t('heatmap.stats.dailyAverage')}</div>
+              </div>
+              <div className="heatmap-stat">
+                <div className="heatmap-stat-value">
+                  {formatters.number(stats.peak)}
+                </div>
+                <div className="heatmap-stat-label">{t('heatmap.stats.peak')}</div>
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+    </WidgetCard>
+  );
+}
+
+function UsersTab() {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const params = readUserListParams(searchParams);
+  const userList = useUserList(params);
+  const { data } = userList;
+  const { data: allUsers = [] } = useUsers({ enabled: USERS_PAGINATION_MODE === 'client' });
+  const { hasPermission } = useAuth();
+  const { createUser, updateUser, deleteUser } = useUserMutations();
+  const { t } = useI18n();
+  const [editingUser, setEditingUser] = useState(null);
+  const [deletingUser, setDeletingUser] = useState(null);
+  const canManage = hasPermission('users:write');
+  const users = data?.items ?? [];
+  const total = data?.total ?? 0;
+  const pageCount = Math.max(Math.ceil(total / USERS_PAGE_SIZE), 1);
+  const suggestionSource = allUsers.length ? allUsers : users;
+  const companies = [...new Set(suggestionSource.map(u => u.company?.name).filter(Boolean))].sort();
+  const cities = [...new Set(suggestionSource.map(u => u.address?.city).filter(Boolean))].sort();
+  const hasFilters = params.q || params.company || params.city;
+  const fetchFilteredUsers = useFilteredUsersFetcher(params);
+
+  const getUsersExport = async () => ({
+    filename: hasFilters ? 'users-filtered' : 'users',
+    sheet: t('users.sheet'),
+    columns: USER_EXPORT_COLUMNS,
+    rows: await fetchFilteredUsers(total),
+  });
+
+  // Filter changes go back to the first page and replace the history entry
+  // so typing doesn't leave one entry per keystroke.
+  const updateParams = (changes, { replace = true } = {}) => {
+    setSearchParams(prev => {
+      const next = new URLSearchParams(prev);
+      Object.entries(changes).forEach(([key, value]) => {
+        if (value) next.set(key, value);
+        else next.delete(key);
+      });
+      if (!('page' in changes)) next.delete('page');
+      return next;
+    }, { replace });
+  };
+
+  const handleSortChange = (value) => {
+    const [sort, order] = value.split(':');
+    updateParams({ sort: sort === 'name' ? '' : sort, order: order === 'asc' ? '' : order });
+  };
+
+  const goToPage = (page) => updateParams({ page: page > 1 ? String(page) : '' }, { replace: false });
+
+  // A page past the end (from an old link, or after deleting the last user
+  // on it) moves back to the last page once the total is known.
+  const overshotTo = data && !userList.isPlaceholderData && params.page > pageCount ? pageCount : null;
+  useEffect(() => {
+    if (!overshotTo) return;
+    setSearchParams(prev => {
+      const next = new URLSearchParams(prev);
+      if (overshotTo > 1) next.set('page', String(overshotTo));
+      else next.delete('page');
+      return next;
+    }, { replace: true });
+  }, [overshotTo, setSearchParams]);
+
+  return (
+    <>
+      <WidgetCard
+        title={t('users.title')}
+        icon={UserCircle}
+        query={userList}
+        loadingMessage={t('users.loading')}
+        errorTitle={t('users.error')}
+        report={false}
+        actions={(
+          <>
+            <ExportMenu getExport={getUsersExport} disabled={!data || total === 0} />
+            {canManage && (
+              <button onClick={() => setEditingUser({})} className="add-user-button">
+                <UserPlus className="add-user-icon" />
+                {t('userForm.addTitle')}
+              </button>
+            )}
+          </>
+        )}
+        controls={(
+          <div className="users-toolbar">
+            <div className="users-search">
+              <Search className="users-search-icon" />
+              <input
+                type="search"
+                value={params.q}
+                onChange={(e) => updateParams({ q: e.target.value })}
+                placeholder={t('users.searchPlaceholder')}
+                aria-label={t('users.searchLabel')}
+                className="users-search-input"
+              />
+            </div>
+            <input
+              list="user-companies"
+              value={params.company}
+              onChange={(e) => updateParams({ company: e.target.value })}
+              placeholder={t('users.columns.company')}
+              aria-label={t('users.filterCompany')}
+              className="users-filter-input"
+            />
+            <datalist id="user-companies">
+              {companies.map(name => <option key={name} value={name} />)}
+            </datalist>
+            <input
+              list="user-cities"
+              value={params.city}
+              onChange={(e) => updateParams({ city: e.target.value })}
+              placeholder={t('users.columns.city')}
+              aria-label={t('users.filterCity')}
+              className="users-filter-input"
+            />
+            <datalist id="user-cities">
+              {cities.map(name => <option key={name} value={name} />)}
+            </datalist>
+            <select
+              value={`${params.sort}:${params.order}`}
+              onChange={(e) => handleSortChange(e.target.value)}
+              aria-label={t('users.sortLabel')}
+              className="users-sort-select"
+            >
+              <option value="name:asc">{t('users.sort.nameAsc')}</option>
+              <option value="name:desc">{t('users.sort.nameDesc')}</option>
+              <option value="email:asc">{t('users.columns.email')}</option>
+              <option value="company:asc">{t('users.columns.company')}</option>
+              <option value="city:asc">{t('users.columns.city')}</option>
+            </select>
+            {hasFilters && (
+              <button onClick={() => updateParams({ q: '', company: '', city: '' })} className="users-clear-button">
+                <X className="users-clear-icon" />
+                {t('users.clear')}
+              </button>
+            )}
+          </div>
+        )}
+      >
+        {() => total === 0 ? (
+          <div className="users-empty">{hasFilters ? t('users.noMatches') : t('users.empty')}</div>
+        ) : (
+          <>
+            <div className="users-grid">
+              {users.map((user) => (
+                <UserCard
+                  key={user.id}
+                  user={user}
+                  onEdit={canManage ? setEditingUser : undefined}
+                  onDelete={canManage ? setDeletingUser : undefined}
+                />
+              ))}
+            </div>
+
+            <div className="users-pagination">
+              <p className="users-pagination-summary">
+                {t('users.showing', {
+                  from: (params.page - 1) * USERS_PAGE_SIZE + 1,
+                  to: (params.page - 1) * USERS_PAGE_SIZE + users.length,
+                  total,
+                })}
+              </p>
+              <div className="users-pagination-controls">
+                <button
+                  onClick={() => goToPage(params.page - 1)}
+                  disabled={params.page <= 1}
+                  className="users-page-button"
+                  aria-label={t('users.previousPage')}
+                >
+                  <ChevronLeft className="users-page-icon" />
+                </button>
+                <span className="users-pagination-page">{t('users.page', { page: params.page, count: pageCount })}</span>
+                <button
+                  onClick={() => goToPage(params.page + 1)}
+                  disabled={params.page >= pageCount}
+                  className="users-page-button"
+                  aria-label={t('users.nextPage')}
+                >
+                  <ChevronRight className="users-page-icon" />
+                </button>
+              </div>
+            </div>
+          </>
+        )}
+      </WidgetCard>
+
+      {editingUser && (
+        <UserFormDialog
+          user={editingUser.id ? editingUser : null}
+          users={allUsers.length ? allUsers : users}
+          onClose={() => setEditingUser(null)}
+          onSubmit={async (values) => {
+            const mutation = editingUser.id ? updateUser : createUser;
+            // The form can only check emails against the full list when it
+            // is cached (and then the list updates optimistically); without
+            // it the server has the final word, so wait for its answer.
+            if (allUsers.length) mutation.mutate(values);
+            else await mutation.mutateAsync(values);
+            setEditingUser(null);
+          }}
+        />
+      )}
+
+      {deletingUser && (
+        <ConfirmDialog
+          title={t('users.deleteTitle')}
+          message={t('users.deleteMessage', { name: deletingUser.name })}
+          confirmLabel={t('users.deleteConfirm')}
+          onClose={() => setDeletingUser(null)}
+          onConfirm={() => {
+            deleteUser.mutate(deletingUser);
+            setDeletingUser(null);
+          }}
+        />
+      )}
+    </>
+  );
+}
+
+function TabButton({ to, icon: Icon, label }) {
+  return (
+    <NavLink to={to} className={({ isActive }) => isActive ? "tab-button tab-button-active" : "tab-button"}>
+      <Icon className="tab-icon" />
+      {label}
+    </NavLink>
+  );
+}
+
+// Texts come from userDetail.<resource>.
+function UserResourceSection({ userId, resource, icon: Icon, renderItem }) {
+  const { data: items = [], isPending, isPaused, isError, error, refetch } = useUserResource(userId, resource);
+  const { t, errorMessage } = useI18n();
+  const formatters = useFormatters();
+
+  return (
+    <div className="user-section">
+      <div className="user-section-header">
+        <Icon className="user-section-icon" />
+        <h3 className="user-section-title">{t(`userDetail.${resource}.title`)}</h3>
+        {!isPending && !isError && <span className="user-section-count">{formatters.number(items.length)}</span>}
+      </div>
+      {isPending ? (
+        <LoadingState message={t(`userDetail.${resource}.loading`)} paused={isPaused} />
+      ) : isError ? (
+        <ErrorState title={t(`userDetail.${resource}.error`)} error={errorMessage(error)} onRetry={refetch} />
+      ) : items.length === 0 ? (
+        <div className="users-empty">{t(`userDetail.${resource}.empty`)}</div>
+      ) : (
+        <ul className="user-section-list">
+          {items.map(item => (
+            <li key={item.id} className="user-section-item">{renderItem(item)}</li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+function UserDetail() {
+  const { id } = useParams();
+  const { data: user, isPending, isPaused, isError, error, refetch } = useUser(id);
+  const { t, errorMessage } = useI18n();
+
+  return (
+    <div className="user-detail">
+      <div className="users-tab">
+        <div className="users-header">
+          <Link to="/users" className="back-link">
+            <ArrowLeft className="back-link-icon" />
+            {t('userDetail.back')}
+          </Link>
+        </div>
+
+        <div className="users-content">
+          {isPending ? (
+            <LoadingState message={t('userDetail.loading')} paused={isPaused} />
+          ) : isError ? (
+            <ErrorState title={t('userDetail.error')} error={errorMessage(error)} onRetry={refetch} />
+          ) : !user ? (
+            <div className="users-empty">{t('userDetail.notFound')}</div>
+          ) : (
+            <div className="user-profile">
+              <div className="user-card-content">
+                <div className="user-avatar">
+                  {user.name.charAt(0)}
+                </div>
+                <div className="user-info">
+                  <h3 className="user-name">{user.name}</h3>
+                  <p className="user-email">{user.email}</p>
+                  {user.username && <p className="user-company">@{user.username}</p>}
+                </div>
+              </div>
+
+              <dl className="user-profile-grid">
+                <div>
+                  <dt className="user-profile-label"><Phone className="user-profile-icon" />{t('userDetail.phone')}</dt>
+                  <dd className="user-profile-value">{user.phone || '—'}</dd>
+                </div>
+                <div>
+                  <dt className="user-profile-label"><Globe className="user-profile-icon" />{t('userDetail.website')}</dt>
+                  <dd className="user-profile-value">
+                    {user.website ? (
+                      <a href={`https://${user.website}`} target="_blank" rel="noreferrer" className="user-profile-link">{user.website}</a>
+                    ) : '—'}
+                  </dd>
+                </div>
+                <div>
+                  <dt className="user-profile-label"><MapPin className="user-profile-icon" />{t('userDetail.address')}</dt>
+                  <dd className="user-profile-value">
+                    {user.address
+                      ? `${user.address.street}, ${user.address.suite}, ${user.address.city} ${user.address.zipcode}`
+                      : '—'}
+                  </dd>
+                </div>
+                <div>
+                  <dt className="user-profile-label"><Building2 className="user-profile-icon" />{t('userDetail.company')}</dt>
+                  <dd className="user-profile-value">
+                    {user.company?.name || '—'}
+                    {user.company?.catchPhrase && <p className="user-profile-catchphrase">“{user.company.catchPhrase}”</p>}
+                  </dd>
+                </div>
+              </dl>
+            </div>
+          )}
+        </div>
+      </div>
+
+      {user && (
+        <div className="user-detail-sections">
+          <UserResourceSection
+            userId={id}
+            resource="posts"
+            icon={FileText}
+            renderItem={(post) => (
+              <>
+                <p className="user-section-item-title">{post.title}</p>
+                <p className="user-section-item-body">{post.body}</p>
+              </>
+            )}
+          />
+          <UserResourceSection
+            userId={id}
+            resource="todos"
+            icon={ListTodo}
+            renderItem={(todo) => (
+              <div className="user-todo">
+                {todo.completed
+                  ? <CheckCircle className="user-todo-icon-done" />
+                  : <Circle className="user-todo-icon" />}
+                <span className={todo.completed ? 'user-todo-text-done' : 'user-todo-text'}>{todo.title}</span>
+              </div>
+            )}
+          />
+          <UserResourceSection
+            userId={id}
+            resource="albums"
+            icon={ImageIcon}
+            renderItem={(album) => <p className="user-section-item-title">{album.title}</p>}
+          />
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Labelled by report.formats.<id>.
+const REPORT_FORMATS = ['pdf', 'png'];
+
+function ReportDialog({ getPanels, onClose }) {
+  const { user } = useAuth();
+  const { showToast } = useToast();
+  const { t, locale, errorMessage } = useI18n();
+  const [format, setFormat] = useState('pdf');
+  const [generating, setGenerating] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setGenerating(true);
+    const panels = getPanels();
+    const meta = {
+      title: t('report.title'),
+      generatedAt: new Date(),
+      generatedBy: `${user.name} (${user.email})`,
+      locale,
+    };
+    try {
+      if (format === 'pdf') await downloadPdfReport(panels, meta);
+      else await downloadPanelImages(panels, meta);
+      showToast(format === 'pdf' ? t('report.downloaded') : t('report.imagesDownloaded', { count: panels.length }));
+      onClose();
+    } catch (err) {
+      showToast(t('report.failed', { message: errorMessage(err) }), 'error');
+      setGenerating(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onKeyDown={(e) => e.key === 'Escape' && !generating && onClose()}>
+      <form onSubmit={handleSubmit} className="modal-dialog" role="dialog" aria-modal="true" aria-labelledby="report-dialog-title">
+        <div className="modal-header">
+          <h2 id="report-dialog-title" className="modal-title">{t('report.dialogTitle')}</h2>
+          <button type="button" onClick={onClose} disabled={generating} className="modal-close" aria-label={t('common.close')}>
+            <X className="modal-close-icon" />
+          </button>
+        </div>
+
+        <p className="modal-message">{t('report.description')}</p>
+
+        <fieldset className="report-format-options">
+          <legend className="form-label">{t('report.format')}</legend>
+          {REPORT_FORMATS.map(option => (
+            <label key={option} className="report-format-option">
+              <input
+                type="radio"
+                name="report-format"
+                value={option}
+                checked={format === option}
+                onChange={() => setFormat(option)}
+                className="report-format-radio"
+              />
+              <span>
+                <span className="report-format-label">{t(`report.formats.${option}.label`)}</span>
+                <span className="report-format-description">{t(`report.formats.${option}.description`)}</span>
+              </span>
+            </label>
+          ))}
+        </fieldset>
+
+        <div className="modal-actions">
+          <button type="button" onClick={onClose} disabled={generating} className="modal-cancel-button">{t('common.cancel')}</button>
+          <button type="submit" disabled={generating} className="modal-confirm-button">
+            {generating ? t('report.generating') : t('report.generate')}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
+
+function OverviewStats() {
+  const { hasPermission } = useAuth();
+  const { data: users = [], isLoading, dataUpdatedAt } = useUsers();
+  return (
+    <DashboardStats
+      userCount={hasPermission('users:read') ? users.length : '—'}
+      loading={isLoading}
+      dataUpdatedAt={dataUpdatedAt}
+    />
+  );
+}
+
+registerWidget({ id: 'stats', title: 'stats.panel', icon: BarChart3, component: OverviewStats });
+registerWidget({ id: 'sales', title: 'sales.title', tab: 'tabs.sales', icon: TrendingUp, permission: 'sales:read', component: SalesReport });
+registerWidget({ id: 'activity', title: 'heatmap.title', tab: 'tabs.activity', icon: Activity, permission: 'activity:read', component: ActivityHeatmap });
+registerWidget({ id: 'users', title: 'users.title', tab: 'tabs.users', icon: UserCircle, permission: 'users:read', component: UsersTab });
+
+const canSeeWidget = (widget, hasPermission) => !widget.permission || hasPermission(widget.permission);
+
+// What a widget's useData and render are given, so that plugins don't
+// need the app's own hooks.
+function useWidgetContext() {
+  const { token, user, hasPermission } = useAuth();
+  const dataSource = useDataSource();
+  const { t, locale } = useI18n();
+  const formatters = useFormatters();
+  return { dataSource, token, user, hasPermission, t, locale, formatters };
+}
+
+function DataWidget({ widget }) {
+  const context = useWidgetContext();
+  const query = widget.useData(context);
+  const Render = widget.render;
+
+  return (
+    <WidgetCard title={context.t(widget.title)} icon={widget.icon} query={query}>
+      {() => <Render data={query.data} context={context} />}
+    </WidgetCard>
+  );
+}
+
+function WidgetPanel({ widget }) {
+  const Component = widget.component;
+  return Component ? <Component /> : <DataWidget widget={widget} />;
+}
+
+function WidgetRoute({ widget }) {
+  const { hasPermission } = useAuth();
+  return canSeeWidget(widget, hasPermission) ? <WidgetPanel widget={widget} /> : <NoAccessState />;
+}
+
+const OVERVIEW_WIDGET_SIZES = {
+  half: 'overview-widget overview-widget-half',
+  twoThirds: 'overview-widget overview-widget-two-thirds',
+  full: 'overview-widget overview-widget-full',
+};
+
+function OverviewWidgetToolbar({ widget, size, previousId, nextId, onDragStart, onDragEnd, onResize, onMove, onHide }) {
+  const { t } = useI18n();
+  const title = t(widget.title);
+
+  return (
+    <div className="overview-widget-toolbar">
+      <span draggable onDragStart={onDragStart} onDragEnd={onDragEnd} className="overview-drag-handle" title={t('overview.drag')}>
+        <GripVertical className="overview-toolbar-icon" />
+      </span>
+      <span className="overview-widget-title">{title}</span>
+      <select
+        value={size}
+        onChange={(e) => onResize(e.target.value)}
+        aria-label={t('overview.width', { title })}
+        className="report-select"
+      >
+        {widget.sizes.map(option => <option key={option} value={option}>{t(`overview.sizes.${option}`)}</option>)}
+      </select>
+      <button onClick={() => onMove(previousId)} disabled={!previousId} className="overview-widget-action" aria-label={t('overview.moveEarlier', { title })}>
+        <ArrowUp className="overview-toolbar-icon" />
+      </button>
+      <button onClick={() => onMove(nextId)} disabled={!nextId} className="overview-widget-action" aria-label={t('overview.moveLater', { title })}>
+        <ArrowDown className="overview-toolbar-icon" />
+      </button>
+      <button onClick={onHide} className="overview-widget-action" aria-label={t('overview.hide', { title })}>
+        <EyeOff className="overview-toolbar-icon" />
+      </button>
+    </div>
+  );
+}
+
+function OverviewTab() {
+  const { hasPermission } = useAuth();
+  const panelsRef = useRef(null);
+  const [reportOpen, setReportOpen] = useState(false);
+  const [editing, setEditing] = useState(false);
+  const [savedLayout, setSavedLayout] = useUserPreference('overviewLayout', null);
+  const [dragged, setDragged] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null);
+  const { t } = useI18n();
+
+  const layout = normalizeOverviewLayout(savedLayout);
+  const shown = layout.filter(item => canSeeWidget(overviewWidget(item.id), hasPermission));
+  const hidden = overviewWidgets().filter(widget => canSeeWidget(widget, hasPermission) && !layout.some(item => item.id === widget.id));
+
+  const resizeWidget = (id, size) => setSavedLayout(layout.map(item => item.id === id ? { ...item, size } : item));
+  const moveWidget = (id, targetId) => setSavedLayout(moveOverviewWidget(layout, id, targetId));
+  const hideWidget = (id) => setSavedLayout(layout.filter(item => item.id !== id));
+  const addWidget = (widget) => setSavedLayout([...layout, { id: widget.id, size: widget.sizes[0] }]);
+
+  const handleDragStart = (e, id) => {
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', id);
+    e.dataTransfer.setDragImage(e.currentTarget.closest('.overview-widget'), 24, 24);
+    setDragged(id);
+  };
+
+  const handleDragEnd = () => {
+    setDragged(null);
+    setDropTarget(null);
+  };
+
+  const handleDragOver = (e, id) => {
+    if (!dragged) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+    setDropTarget(id === dragged ? null : id);
+  };
+
+  const handleDrop = (e, id) => {
+    e.preventDefault();
+    if (dragged && dragged !== id) moveWidget(dragged, id);
+    handleDragEnd();
+  };
+
+  return (
+    <div ref={panelsRef}>
+      <div className="overview-toolbar">
+        {editing && (
+          <button onClick={() => setSavedLayout(null)} disabled={savedLayout === null} className="generate-report-button">
+            <RotateCcw className="generate-report-icon" />
+            {t('overview.reset')}
+          </button>
+        )}
+        <button onClick={() => setEditing(current => !current)} aria-pressed={editing} className="generate-report-button">
+          {editing ? <Check className="generate-report-icon" /> : <LayoutGrid className="generate-report-icon" />}
+          {editing ? t('overview.done') : t('overview.customize')}
+        </button>
+        <button onClick={() => setReportOpen(true)} className="generate-report-button">
+          <FileDown className="generate-report-icon" />
+          {t('report.dialogTitle')}
+        </button>
+      </div>
+      {reportOpen && (
+        <ReportDialog getPanels={() => collectReportPanels(panelsRef.current)} onClose={() => setReportOpen(false)} />
+      )}
+      {editing && hidden.length > 0 && (
+        <div className="overview-hidden">
+          <span className="overview-hidden-label">{t('overview.hidden')}</span>
+          {hidden.map(widget => (
+            <button key={widget.id} onClick={() => addWidget(widget)} className="overview-add-button">
+              <Plus className="overview-toolbar-icon" />
+              {t(widget.title)}
+            </button>
+          ))}
+        </div>
+      )}
+      {shown.length === 0 && <div className="users-empty">{t('overview.empty')}</div>}
+      <div className="overview-grid">
+        {shown.map(({ id, size }, index) => {
+          const widget = overviewWidget(id);
+          return (
+            <div
+              key={id}
+              className={dropTarget === id ? `${OVERVIEW_WIDGET_SIZES[size]} overview-widget-drop-target` : OVERVIEW_WIDGET_SIZES[size]}
+              onDragOver={(e) => handleDragOver(e, id)}
+              onDrop={(e) => handleDrop(e, id)}
+            >
+              {editing && (
+                <OverviewWidgetToolbar
+                  widget={widget}
+                  size={size}
+                  previousId={shown[index - 1]?.id}
+                  nextId={shown[index + 1]?.id}
+                  onDragStart={(e) => handleDragStart(e, id)}
+                  onDragEnd={handleDragEnd}
+                  onResize={(next) => resizeWidget(id, next)}
+                  onMove={(targetId) => moveWidget(id, targetId)}
+                  onHide={() => hideWidget(id)}
+                />
+              )}
+              <WidgetPanel widget={widget} />
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+const LIVE_STATUS_DOTS = {
+  connecting: 'live-status-dot live-status-dot-pending',
+  live: 'live-status-dot live-status-dot-live',
+  reconnecting: 'live-status-dot live-status-dot-pending',
+  offline: 'live-status-dot live-status-dot-offline',
+};
+
+function ThemeSelect() {
+  const { preference, setPreference } = useTheme();
+  const { t } = useI18n();
+  return (
+    <label className="header-select">
+      <Palette className="header-select-icon" />
+      <select value={preference} onChange={(e) => setPreference(e.target.value)} aria-label={t('header.theme')} className="header-select-input">
+        {THEME_PREFERENCES.map(option => <option key={option.id} value={option.id}>{t(option.labelKey)}</option>)}
+      </select>
+    </label>
+  );
+}
+
+// Locales are listed in their own language.
+function LocaleSelect() {
+  const { locale, setLocale, t } = useI18n();
+  return (
+    <label className="header-select">
+      <Languages className="header-select-icon" />
+      <select value={locale} onChange={(e) => setLocale(e.target.value)} aria-label={t('header.language')} className="header-select-input">
+        {LOCALES.map(option => <option key={option.id} value={option.id} lang={option.id}>{option.label}</option>)}
+      </select>
+    </label>
+  );
+}
+
+function WorkspaceSettingsDialog({ onClose }) {
+  const { t, locale } = useI18n();
+  const { data: workspace } = useWorkspace();
+  const updateWorkspace = useUpdateWorkspace();
+  const [selected, setSelected] = useState(null);
+  const currency = selected ?? workspace?.currency ?? DEFAULT_CURRENCY;
+  // The workspace may already use a currency that isn't offered.
+  const options = CURRENCIES.includes(currency) ? CURRENCIES : [currency, ...CURRENCIES];
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    updateWorkspace.mutate({ currency }, { onSuccess: onClose });
+  };
+
+  return (
+    <div className="modal-overlay" onKeyDown={(e) => e.key === 'Escape' && onClose()}>
+      <form onSubmit={handleSubmit} className="modal-dialog modal-dialog-small" role="dialog" aria-modal="true" aria-labelledby="workspace-dialog-title">
+        <div className="modal-header">
+          <h2 id="workspace-dialog-title" className="modal-title">{t('workspace.title')}</h2>
+          <button type="button" onClick={onClose} className="modal-close" aria-label={t('common.close')}>
+            <X className="modal-close-icon" />
+          </button>
+        </div>
+
+        <label htmlFor="workspace-currency" className="form-label">{t('workspace.currency')}</label>
+        <select
+          id="workspace-currency"
+          value={currency}
+          onChange={(e) => setSelected(e.target.value)}
+          className="form-input"
+        >
+          {options.map(code => <option key={code} value={code}>{`${currencyName(locale, code)} (${code})`}</option>)}
+        </select>
+        <p className="modal-message">{t('workspace.currencyHint')}</p>
+
+        <div className="modal-actions">
+          <button type="button" onClick={onClose} className="modal-cancel-button">{t('common.cancel')}</button>
+          <button type="submit" disabled={!workspace || updateWorkspace.isPending} className="modal-confirm-button">
+            {updateWorkspace.isPending ? t('workspace.saving') : t('workspace.save')}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
+
+function OfflineBanner() {
+  const { t } = useI18n();
+  const formatters = useFormatters();
+  const isOnline = useIsOnline();
+  const shownSince = useQueryCacheValue(oldestShownData);
+  const queued = useMutationState({ filters: { predicate: mutation => mutation.state.isPaused } }).length;
+  if (isOnline) return null;
+
+  return (
+    <div className="offline-banner" role="status">
+      <WifiOff className="offline-banner-icon" />
+      <p>
+        {shownSince ? t('offline.cached', { time: formatters.dateTime(shownSince) }) : t('offline.message')}
+        {queued > 0 && ` ${t('offline.queued', { count: queued })}`}
+      </p>
+    </div>
+  );
+}
+
+function Dashboard() {
+  const { user, logout, hasPermission } = useAuth();
+  const { isLoading, isFetching } = useUsers();
+  const liveStatus = useLiveUpdates();
+  const { t } = useI18n();
+  const [settingsOpen, setSettingsOpen] = useState(false);
+
+  return (
     <div className="dashboard">
       <div className="dashboard-header">
         <div className="dashboard-header-container">
           <div className="dashboard-header-content">
             <div>
-              <h1 className="dashboard-title">User Dashboard</h1>
-              <p className="dashboard-subtitle">Welcome back, {user?.name || 'User'}</p>
+              <h1 className="dashboard-title">{t('header.title')}</h1>
+              <p className="dashboard-subtitle">{t('header.welcome', { name: user?.name || t('header.defaultName') })}</p>
             </div>
             <div className="dashboard-header-actions">
               {isFetching && !isLoading && (
                 <div className="sync-indicator">
                   <Loader2 className="sync-spinner" />
-                  <span>Syncing data...</span>
+                  <span>{t('header.syncing')}</span>
                 </div>
               )}
+              <LocaleSelect />
+              <ThemeSelect />
+              {hasPermission('workspace:write') && (
+                <button
+                  onClick={() => setSettingsOpen(true)}
+                  className="header-icon-button"
+                  aria-label={t('workspace.title')}
+                  title={t('workspace.title')}
+                >
+                  <Settings className="header-icon-button-icon" />
+                </button>
+              )}
+              <div className="live-status" role="status" title={t('header.liveConnection')}>
+                <span className={LIVE_STATUS_DOTS[liveStatus]} />
+                <span>{t(`live.${liveStatus}`)}</span>
+              </div>
               <button onClick={logout} className="logout-button">
                 <LogOut className="logout-icon" />
->>>>>>> milestone-6
-                Logout
+                {t('header.logout')}
               </button>
             </div>
           </div>
 
-<<<<<<< HEAD
-          <div className="flex gap-2 -mb-px overflow-x-auto">
-=======
           <div className="tabs-container">
->>>>>>> milestone-6
-            <TabButton active={activeTab === 'overview'} icon={BarChart3} label="Overview" onClick={() => setActiveTab('overview')} />
-            <TabButton active={activeTab === 'sales'} icon={TrendingUp} label="Sales" onClick={() => setActiveTab('sales')} />
-            <TabButton active={activeTab === 'activity'} icon={Activity} label="Activity" onClick={() => setActiveTab('activity')} />
-            <TabButton active={activeTab === 'users'} icon={UserCircle} label="Users" onClick={() => setActiveTab('users')} />
+            <TabButton to="/overview" icon={BarChart3} label={t('tabs.overview')} />
+            {getWidgets().filter(widget => widget.tab && canSeeWidget(widget, hasPermission)).map(widget => (
+              <TabButton key={widget.id} to={`/${widget.id}`} icon={widget.icon} label={t(widget.tab)} />
+            ))}
           </div>
         </div>
       </div>
 
-<<<<<<< HEAD
-      <div className="max-w-6xl mx-auto p-6">
-        {activeTab === 'overview' && (
-          <div>
-            <DashboardStats userCount={users.length} loading={isLoading} isFetching={isFetching} dataUpdatedAt={dataUpdatedAt} />
-            <div className="grid grid-cols-1 gap-6">
-=======
+      {settingsOpen && <WorkspaceSettingsDialog onClose={() => setSettingsOpen(false)} />}
+
       <div className="dashboard-content">
-        {activeTab === 'overview' && (
-          <div>
-            <DashboardStats userCount={users.length} loading={isLoading} isFetching={isFetching} dataUpdatedAt={dataUpdatedAt} />
-            <div className="dashboard-sections">
->>>>>>> milestone-6
-              <SalesReport />
-              <ActivityHeatmap />
-              <UsersTab />
-            </div>
-          </div>
-        )}
-        {activeTab === 'sales' && <SalesReport />}
-        {activeTab === 'activity' && <ActivityHeatmap />}
-        {activeTab === 'users' && <UsersTab />}
+        <OfflineBanner />
+        <Outlet />
       </div>
     </div>
   );
@@ -1054,20 +3220,121 @@ function Dashboard() {
 
 export default function App() {
   return (
-    <AuthProvider>
-      <QueryClientProvider client={queryClient}>
-        <AuthWrapper />
-      </QueryClientProvider>
-    </AuthProvider>
+    <BrowserRouter>
+      <I18nProvider>
+        <ThemeProvider>
+          <AuthProvider>
+            <PersistQueryClientProvider client={queryClient} persistOptions={persistOptions}>
+              <ToastProvider>
+                <AppRoutes />
+              </ToastProvider>
+            </PersistQueryClientProvider>
+          </AuthProvider>
+        </ThemeProvider>
+      </I18nProvider>
+    </BrowserRouter>
   );
 }
 
-function AuthWrapper() {
+function useIdleTimeout() {
+  const [remaining, setRemaining] = useState(() => readLastActivity() + IDLE_TIMEOUT - Date.now());
+
+  useEffect(() => {
+    let lastWrite = 0;
+    const handleActivity = () => {
+      const now = Date.now();
+      if (now - lastWrite < ACTIVITY_WRITE_INTERVAL) return;
+      // Once the warning is up, only an explicit "stay signed in" counts.
+      if (readLastActivity() + IDLE_TIMEOUT - now <= IDLE_WARNING) return;
+      lastWrite = now;
+      touchActivity();
+    };
+    const events = ['mousemove', 'mousedown', 'keydown', 'scroll', 'touchstart'];
+    events.forEach(name => window.addEventListener(name, handleActivity, { passive: true }));
+    const interval = setInterval(() => {
+      setRemaining(readLastActivity() + IDLE_TIMEOUT - Date.now());
+    }, 1000);
+
+    return () => {
+      events.forEach(name => window.removeEventListener(name, handleActivity));
+      clearInterval(interval);
+    };
+  }, []);
+
+  const stayActive = () => {
+    touchActivity();
+    setRemaining(IDLE_TIMEOUT);
+  };
+
+  return { remaining, stayActive };
+}
+
+function IdleTimeoutWarning() {
+  const { logout } = useAuth();
+  const { t } = useI18n();
+  const { remaining, stayActive } = useIdleTimeout();
+
+  useEffect(() => {
+    if (remaining <= 0) logout();
+  }, [remaining, logout]);
+
+  if (remaining > IDLE_WARNING) return null;
+
+  return (
+    <div className="idle-overlay">
+      <div className="idle-dialog" role="alertdialog" aria-modal="true" aria-labelledby="idle-title">
+        <div className="idle-icon-wrapper">
+          <Clock className="idle-icon" />
+        </div>
+        <h2 id="idle-title" className="idle-title">{t('idle.title')}</h2>
+        <p className="idle-message">
+          {t('idle.message', { count: Math.max(Math.ceil(remaining / 1000), 0) })}
+        </p>
+        <div className="idle-actions">
+          <button onClick={logout} className="idle-logout-button">{t('idle.signOut')}</button>
+          <button onClick={stayActive} className="idle-stay-button">{t('idle.stay')}</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function RequireAuth({ children }) {
   const { isAuthenticated } = useAuth();
-  return isAuthenticated ? <Dashboard /> : <LoginPage />;
-<<<<<<< HEAD
+  const location = useLocation();
+
+  if (!isAuthenticated) return <Navigate to="/login" state={{ from: location }} replace />;
+
+  return (
+    <>
+      {children}
+      <IdleTimeoutWarning />
+    </>
+  );
 }
 
-=======
+function AppRoutes() {
+  const { isAuthenticated } = useAuth();
+  const isRestoring = useIsRestoring();
+
+  // Waits for the restore so a previous user's persisted cache is wiped
+  // too; clearing the cache also clears the stored copy.
+  useEffect(() => {
+    if (!isAuthenticated && !isRestoring) queryClient.clear();
+  }, [isAuthenticated, isRestoring]);
+
+  return (
+    <Routes>
+      <Route path="/login" element={<LoginPage />} />
+      <Route element={<RequireAuth><Dashboard /></RequireAuth>}>
+        <Route index element={<Navigate to="/overview" replace />} />
+        <Route path="overview" element={<OverviewTab />} />
+        {getWidgets().filter(widget => widget.tab).map(widget => (
+          <Route key={widget.id} path={widget.id} element={<WidgetRoute widget={widget} />} />
+        ))}
+        <Route path="users/:id" element={<RequirePermission permission="users:read"><UserDetail /></RequirePermission>} />
+      </Route>
+      <Route path="*" element={<Navigate to="/overview" replace />} />
+    </Routes>
+  );
 }
->>>>>>> milestone-6
@@ -0,0 +1,132 @@
+import { addDays, parseISODate, toISODate, today } from './dates.js';
+
+// Lays dated activity records out as a contribution-style calendar: one
+// column per week, one row per weekday, starting on `weekStart`. Names and
+// labels are formatted for `locale` (the browser's when omitted).
+
+export const ACTIVITY_RANGES = [
+  { weeks: 4, labelKey: 'heatmap.ranges.4w' },
+  { weeks: 12, labelKey: 'heatmap.ranges.12w' },
+  { weeks: 26, labelKey: 'heatmap.ranges.26w' },
+  { weeks: 52, labelKey: 'heatmap.ranges.52w' },
+  { weeks: 104, labelKey: 'heatmap.ranges.104w' },
+  { weeks: 260, labelKey: 'heatmap.ranges.260w' },
+];
+
+// Weekdays counted from Sunday, as in Date#getUTCDay.
+export const WEEK_START_DAYS = [0, 1, 6];
+
+// The last `weeks` weeks of days, ending today.
+export function activityRange(weeks) {
+  const to = today();
+  return { from: toISODate(addDays(to, -(weeks * 7 - 1))), to: toISODate(to) };
+}
+
+const utcDate = (time, options, locale) => new Date(time).toLocaleDateString(locale, { ...options, timeZone: 'UTC' });
+
+export function weekdayName(isoDate, locale) {
+  return utcDate(parseISODate(isoDate), { weekday: 'long' }, locale);
+}
+
+// 1970-01-04 was a Sunday.
+export function weekdayNames(weekStart, { format = 'short', locale } = {}) {
+  return Array.from({ length: 7 }, (_, i) => utcDate(Date.UTC(1970, 0, 4 + ((weekStart + i) % 7)), { weekday: format }, locale));
+}
+
+export function formatHour(hour, locale) {
+  return new Date(Date.UTC(1970, 0, 1, hour)).toLocaleTimeString(locale, { hour: 'numeric', timeZone: 'UTC' });
+}
+
+// Columns closer together than this only keep the later month label, so a
+// partial first week doesn't crowd the next month's name.
+const MIN_LABEL_SPACING = 3;
+
+// Returns { weeks: [{ start, label, cells }], dayNames, cellsByDate }.
+// `cells` has seven entries; days outside from..to (partial first and last
+// weeks) are null, days without a record count as zero. `cellsByDate` maps
+// YYYY-MM-DD to the cell for constant-time lookups.
+export function buildActivityCalendar(records, { from, to, weekStart = 0, locale }) {
+  const fromTime = parseISODate(from);
+  const toTime = parseISODate(to);
+  const counts = new Map(records.map(record => [record.date, record.count]));
+  const gridStart = addDays(fromTime, -((new Date(fromTime).getUTCDay() - weekStart + 7) % 7));
+  const cellsByDate = new Map();
+
+  const weeks = [];
+  for (let weekTime = gridStart; weekTime <= toTime; weekTime = addDays(weekTime, 7)) {
+    const cells = Array.from({ length: 7 }, (_, i) => {
+      const time = addDays(weekTime, i);
+      if (time < fromTime || time > toTime) return null;
+      const date = toISODate(time);
+      const cell = { date, count: counts.get(date) ?? 0, week: weeks.length, row: i };
+      cellsByDate.set(date, cell);
+      return cell;
+    });
+    weeks.push({ start: toISODate(weekTime), label: '', cells });
+  }
+
+  // A week is labelled with a month when its first day in range falls in a
+  // different month from the previous week's.
+  const labelled = [];
+  let previousMonth = null;
+  weeks.forEach((week, index) => {
+    const time = parseISODate(week.cells.find(Boolean).date);
+    const month = new Date(time).getUTCMonth();
+    if (month !== previousMonth) labelled.push({ index, time });
+    previousMonth = month;
+  });
+  labelled.forEach(({ index, time }, i) => {
+    const next = labelled[i + 1];
+    if (next && next.index - index < MIN_LABEL_SPACING) return;
+    // January carries the year so multi-year ranges stay readable.
+    weeks[index].label = utcDate(time, { month: 'short', ...(new Date(time).getUTCMonth() === 0 && { year: 'numeric' }) }, locale);
+  });
+
+  return { weeks, dayNames: weekdayNames(weekStart, { locale }), cellsByDate };
+}
+
+// Keyboard movement over a calendar: up/down step a day, left/right a
+// week, Home/End jump to the first/last day in range. Returns the date to
+// move to (the current one at the edges), or null for other keys.
+const DAY_STEPS = { ArrowUp: -1, ArrowDown: 1, ArrowLeft: -7, ArrowRight: 7 };
+
+export function moveInCalendar(calendar, date, key) {
+  const dates = [...calendar.cellsByDate.keys()];
+  if (key === 'Home') return dates[0];
+  if (key === 'End') return dates[dates.length - 1];
+  if (!(key in DAY_STEPS)) return null;
+  const next = toISODate(addDays(parseISODate(date), DAY_STEPS[key]));
+  return calendar.cellsByDate.has(next) ? next : date;
+}
+
+const indexOfMax = (values) => values.reduce((best, value, i) => (value > values[best] ? i : best), 0);
+
+// Lays out an hourly report ({ hours: 7x24 totals, days: weekday counts },
+// weekdays indexed from Sunday) as rows of weekdays starting on
+// `weekStart`. Each cell also carries the average for a single such day.
+export function buildHourlyGrid({ hours, days }, { weekStart = 0, locale }) {
+  const cellsById = new Map();
+  const rows = Array.from({ length: 7 }, (_, i) => {
+    const weekday = (weekStart + i) % 7;
+    const cells = hours[weekday].map((count, hour) => {
+      const cell = { id: `${weekday}-${hour}`, weekday, hour, count, average: days[weekday] ? count / days[weekday] : 0 };
+      cellsById.set(cell.id, cell);
+      return cell;
+    });
+    return { weekday, cells };
+  });
+
+  const byHour = hours[0].map((_, hour) => hours.reduce((sum, row) => sum + row[hour], 0));
+  // Weekdays are compared per day, since a range can hold one more of some.
+  const byWeekday = hours.map((row, weekday) => (days[weekday] ? row.reduce((sum, count) => sum + count, 0) / days[weekday] : 0));
+
+  return {
+    rows,
+    cellsById,
+    dayNames: weekdayNames(weekStart, { locale }),
+    hourLabels: byHour.map((_, hour) => formatHour(hour, locale)),
+    total: byHour.reduce((sum, count) => sum + count, 0),
+    peakHour: indexOfMax(byHour),
+    busiestWeekday: indexOfMax(byWeekday),
+  };
+}
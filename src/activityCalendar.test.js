@@ -0,0 +1,103 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { createHourlyActivityReport, recordActivity } from '../mock/data.js';
+import { buildActivityCalendar, buildHourlyGrid, moveInCalendar } from './activityCalendar.js';
+
+const dates = (week) => week.cells.map(cell => cell?.date ?? null);
+
+// 2025-01-29 is a Wednesday.
+const midWeek = buildActivityCalendar(
+  [{ date: '2025-01-29', count: 3 }, { date: '2025-02-02', count: 5 }],
+  { from: '2025-01-29', to: '2025-02-20', weekStart: 1, locale: 'en' }
+);
+
+test('a range starting mid-week leaves the days before it empty', () => {
+  const [first] = midWeek.weeks;
+  assert.equal(first.start, '2025-01-27');
+  assert.deepEqual(dates(first), [null, null, '2025-01-29', '2025-01-30', '2025-01-31', '2025-02-01', '2025-02-02']);
+  assert.deepEqual(midWeek.dayNames, ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun']);
+});
+
+test('the last week stops at the end of the range', () => {
+  const last = midWeek.weeks[midWeek.weeks.length - 1];
+  assert.deepEqual(dates(last), ['2025-02-17', '2025-02-18', '2025-02-19', '2025-02-20', null, null, null]);
+  assert.equal(midWeek.weeks.length, 4);
+});
+
+test('days without a record count as zero and are found by date', () => {
+  assert.equal(midWeek.cellsByDate.get('2025-01-29').count, 3);
+  assert.equal(midWeek.cellsByDate.get('2025-02-02').count, 5);
+  assert.equal(midWeek.cellsByDate.get('2025-02-10').count, 0);
+  assert.equal(midWeek.cellsByDate.has('2025-01-28'), false);
+});
+
+test('weeks are labelled where their first day starts a new month', () => {
+  const calendar = buildActivityCalendar([], { from: '2025-01-01', to: '2025-03-31', weekStart: 0, locale: 'en' });
+  const labels = calendar.weeks.filter(week => week.label).map(week => [week.start, week.label]);
+  // The week of January 26 runs into February but starts in January.
+  assert.deepEqual(labels, [['2024-12-29', 'Jan 2025'], ['2025-02-02', 'Feb'], ['2025-03-02', 'Mar']]);
+});
+
+test('a month label too close to the next one is dropped', () => {
+  assert.deepEqual(midWeek.weeks.map(week => week.label), ['', 'Feb', '', '']);
+});
+
+test('arrow keys move by a day or a week and stop at the range edges', () => {
+  assert.equal(moveInCalendar(midWeek, '2025-01-30', 'ArrowUp'), '2025-01-29');
+  assert.equal(moveInCalendar(midWeek, '2025-01-30', 'ArrowRight'), '2025-02-06');
+  assert.equal(moveInCalendar(midWeek, '2025-01-29', 'ArrowUp'), '2025-01-29');
+  assert.equal(moveInCalendar(midWeek, '2025-02-03', 'ArrowLeft'), '2025-02-03');
+  assert.equal(moveInCalendar(midWeek, '2025-02-20', 'ArrowDown'), '2025-02-20');
+  assert.equal(moveInCalendar(midWeek, '2025-02-14', 'ArrowRight'), '2025-02-14');
+});
+
+test('Home and End jump to the first and last day; other keys are ignored', () => {
+  assert.equal(moveInCalendar(midWeek, '2025-02-14', 'Home'), '2025-01-29');
+  assert.equal(moveInCalendar(midWeek, '2025-01-30', 'End'), '2025-02-20');
+  assert.equal(moveInCalendar(midWeek, '2025-01-30', 'Enter'), null);
+});
+
+const emptyHours = () => Array.from({ length: 7 }, () => Array(24).fill(0));
+
+test('hourly cells keep their weekday and hour when rows start on Monday', () => {
+  const hours = emptyHours();
+  hours[0][23] = 4;
+  hours[3][9] = 2;
+  const grid = buildHourlyGrid({ hours, days: [1, 1, 1, 1, 1, 1, 1] }, { weekStart: 1, locale: 'en' });
+
+  assert.deepEqual(grid.rows.map(row => row.weekday), [1, 2, 3, 4, 5, 6, 0]);
+  assert.equal(grid.rows[6].cells[23].count, 4);
+  assert.equal(grid.rows[2].cells[9].count, 2);
+  assert.equal(grid.cellsById.get('0-23'), grid.rows[6].cells[23]);
+  assert.equal(grid.total, 6);
+});
+
+test('the peak hour and busiest weekday are detected', () => {
+  const hours = emptyHours();
+  hours[1][14] = 5;
+  hours[2][14] = 5;
+  hours[6][10] = 8;
+  // Saturday's 8 is spread over two Saturdays in the range.
+  const grid = buildHourlyGrid({ hours, days: [1, 1, 1, 1, 1, 1, 2] }, { locale: 'en' });
+
+  assert.equal(grid.peakHour, 14);
+  assert.equal(grid.busiestWeekday, 1);
+  assert.equal(grid.cellsById.get('6-10').average, 4);
+});
+
+test('events are bucketed by UTC weekday and hour, whatever the local time zone', (t) => {
+  const timeZone = process.env.TZ;
+  t.after(() => {
+    process.env.TZ = timeZone;
+  });
+  // Already Monday morning in Tokyo, but still Sunday 23:00 in UTC.
+  process.env.TZ = 'Asia/Tokyo';
+  const sunday = Date.parse('2025-03-02T00:00:00Z');
+  const before = createHourlyActivityReport({ from: sunday, to: sunday });
+  recordActivity(Date.parse('2025-03-02T23:30:00Z'), 3);
+  const grid = buildHourlyGrid(createHourlyActivityReport({ from: sunday, to: sunday }), { weekStart: 1, locale: 'en' });
+
+  assert.equal(grid.cellsById.get('0-23').count, before.hours[0][23] + 3);
+  assert.equal(grid.cellsById.get('1-8').count, before.hours[1][8]);
+  assert.equal(grid.hourLabels[23], '11 PM');
+});
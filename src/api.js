@@ -0,0 +1,135 @@
+const REQUEST_TIMEOUT = 15000;
+const MAX_RETRIES = 3;
+const RETRY_BASE_DELAY = 500;
+const RETRY_MAX_DELAY = 10000;
+const RETRYABLE_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+
+export class ApiError extends Error {
+  constructor(message, { status = 0, code = 'HTTP_ERROR', url, data, retryAfter } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.url = url;
+    this.data = data;
+    this.retryAfter = retryAfter;
+  }
+
+  get retryable() {
+    return this.code === 'NETWORK_ERROR' || this.code === 'TIMEOUT' || RETRYABLE_STATUSES.includes(this.status);
+  }
+}
+
+let unauthorizedHandler = null;
+
+// Called with the rejected token whenever an authenticated request comes
+// back 401. The handler resolves to a fresh access token to replay the
+// request with once, or to nothing to let the 401 stand. Returns an
+// unsubscribe function.
+export function onUnauthorized(handler) {
+  unauthorizedHandler = handler;
+  return () => {
+    if (unauthorizedHandler === handler) unauthorizedHandler = null;
+  };
+}
+
+function parseRetryAfter(value) {
+  if (!value) return undefined;
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return seconds * 1000;
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? undefined : Math.max(date - Date.now(), 0);
+}
+
+async function readBody(res) {
+  if (res.status === 204) return null;
+  const text = await res.text();
+  if (!text) return null;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+}
+
+function errorMessage(res, data) {
+  if (data && typeof data === 'object' && (data.message || data.error)) return data.message || data.error;
+  return `HTTP ${res.status}${res.statusText ? ` ${res.statusText}` : ''}`;
+}
+
+export async function request(url, options = {}) {
+  try {
+    return await send(url, options);
+  } catch (err) {
+    if (!(err instanceof ApiError) || err.status !== 401 || !options.token || !unauthorizedHandler) throw err;
+    const token = await unauthorizedHandler(options.token);
+    if (!token) throw err;
+    return send(url, { ...options, token });
+  }
+}
+
+async function send(url, { token, method = 'GET', body, signal, timeout = REQUEST_TIMEOUT } = {}) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (token) headers['Authorization'] = `Bearer ${token}`;
+
+  // The caller's signal (e.g. React Query cancelling a query) and the
+  // timeout both abort the same request.
+  const controller = new AbortController();
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeout);
+  const abortFromCaller = () => controller.abort(signal.reason);
+  if (signal?.aborted) abortFromCaller();
+  else signal?.addEventListener('abort', abortFromCaller, { once: true });
+
+  try {
+    const res = await fetch(url, {
+      method,
+      headers,
+      body: body === undefined ? undefined : JSON.stringify(body),
+      signal: controller.signal,
+    });
+    const data = await readBody(res);
+    if (!res.ok) {
+      throw new ApiError(errorMessage(res, data), {
+        status: res.status,
+        url,
+        data,
+        retryAfter: parseRetryAfter(res.headers.get('Retry-After')),
+      });
+    }
+    return { data, headers: res.headers };
+  } catch (err) {
+    if (err instanceof ApiError) throw err;
+    if (timedOut) throw new ApiError(`Request timed out after ${timeout / 1000}s`, { code: 'TIMEOUT', url });
+    if (signal?.aborted) throw err;
+    throw new ApiError('Network error: the server could not be reached', { code: 'NETWORK_ERROR', url });
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', abortFromCaller);
+  }
+}
+
+export async function fetchJson(url, token, options) {
+  const { data } = await request(url, { ...options, token });
+  return data;
+}
+
+// Paginated endpoints return one page of items and the overall match count
+// in the X-Total-Count header.
+export async function fetchPage(url, token, options) {
+  const { data, headers } = await request(url, { ...options, token });
+  return { items: data, total: Number(headers.get('X-Total-Count') ?? data.length) };
+}
+
+export function shouldRetry(failureCount, error) {
+  return error instanceof ApiError && error.retryable && failureCount < MAX_RETRIES;
+}
+
+export function getRetryDelay(attempt, error) {
+  if (error?.retryAfter !== undefined) return Math.min(error.retryAfter, RETRY_MAX_DELAY);
+  const backoff = Math.min(RETRY_BASE_DELAY * 2 ** attempt, RETRY_MAX_DELAY);
+  return backoff / 2 + Math.random() * (backoff / 2);
+}
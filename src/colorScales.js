@@ -0,0 +1,70 @@
+// Bucketed color scales for the activity heatmap. Bucket boundaries are
+// computed from the data, so the colors spread across whatever range the
+// counts actually cover. Zero always gets its own "no activity" color,
+// which comes from the theme (see theme.js).
+
+const DEFAULT_EMPTY_COLOR = 'rgb(243 244 246)';
+
+// Sequential palettes, lightest (lowest) first. Dark color schemes run
+// them the other way so low counts stay close to the background.
+export const PALETTES = [
+  { id: 'green', labelKey: 'heatmap.palettes.green', colors: ['#dcfce7', '#86efac', '#4ade80', '#16a34a', '#14532d'] },
+  { id: 'blue', labelKey: 'heatmap.palettes.blue', colors: ['#dbeafe', '#93c5fd', '#3b82f6', '#1d4ed8', '#1e3a8a'] },
+  { id: 'viridis', labelKey: 'heatmap.palettes.viridis', colors: ['#fde725', '#5ec962', '#21918c', '#3b528b', '#440154'] },
+  { id: 'cividis', labelKey: 'heatmap.palettes.cividis', colors: ['#fee838', '#c3b369', '#7f7c75', '#4a5a6f', '#00224e'] },
+  { id: 'magma', labelKey: 'heatmap.palettes.magma', colors: ['#fcfdbf', '#fc8961', '#b73779', '#51127c', '#000004'] },
+];
+
+export const SCALE_TYPES = [
+  { id: 'linear', labelKey: 'heatmap.scales.linear' },
+  { id: 'log', labelKey: 'heatmap.scales.log' },
+  { id: 'quantile', labelKey: 'heatmap.scales.quantile' },
+];
+
+// Raw (fractional) lower bounds for buckets 1..count-1.
+function splitPoints(type, sorted, count) {
+  const min = sorted[0];
+  const max = sorted[sorted.length - 1];
+  return Array.from({ length: count - 1 }, (_, i) => {
+    const t = (i + 1) / count;
+    if (type === 'log') return Math.exp(Math.log(min) + (Math.log(max) - Math.log(min)) * t);
+    if (type === 'quantile') return sorted[Math.floor(t * sorted.length)];
+    return min + (max - min) * t;
+  });
+}
+
+// Counts are whole numbers, so buckets are integer ranges. Boundaries that
+// round to the same integer (common with quantiles of skewed data) merge,
+// leaving fewer buckets than colors. Labels are formatted for `locale`.
+export function createColorScale(values, { type = 'linear', palette = 'green', scheme = 'light', emptyColor = DEFAULT_EMPTY_COLOR, locale } = {}) {
+  const formatCount = (value) => value.toLocaleString(locale);
+  const ramp = (PALETTES.find(p => p.id === palette) ?? PALETTES[0]).colors;
+  const colors = scheme === 'dark' ? [...ramp].reverse() : ramp;
+  const sorted = values.filter(value => value > 0).sort((a, b) => a - b);
+  const none = { color: emptyColor, from: 0, to: 0, label: formatCount(0) };
+
+  if (!sorted.length) return { buckets: [none], levelFor: () => none, colorFor: () => emptyColor };
+
+  const max = sorted[sorted.length - 1];
+  const lowerBounds = [sorted[0]];
+  splitPoints(type, sorted, colors.length).forEach(point => {
+    const bound = Math.ceil(point);
+    if (bound > lowerBounds[lowerBounds.length - 1] && bound <= max) lowerBounds.push(bound);
+  });
+
+  const last = lowerBounds.length - 1;
+  const buckets = lowerBounds.map((from, i) => {
+    const to = i < last ? lowerBounds[i + 1] - 1 : max;
+    const color = colors[last === 0 ? colors.length - 1 : Math.round((i * (colors.length - 1)) / last)];
+    return { color, from, to, label: from === to ? formatCount(from) : `${formatCount(from)}–${formatCount(to)}` };
+  });
+
+  const levelFor = (value) => {
+    if (!(value > 0)) return none;
+    let index = 0;
+    while (index < last && value >= buckets[index + 1].from) index++;
+    return buckets[index];
+  };
+
+  return { buckets: [none, ...buckets], levelFor, colorFor: value => levelFor(value).color };
+}
@@ -0,0 +1,52 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { PALETTES, createColorScale } from './colorScales.js';
+
+const GREEN = PALETTES.find(palette => palette.id === 'green').colors;
+const ranges = (scale) => scale.buckets.map(bucket => [bucket.from, bucket.to]);
+
+test('all-zero data has only the empty bucket', () => {
+  const scale = createColorScale([0, 0, 0], { emptyColor: 'white' });
+  assert.deepEqual(ranges(scale), [[0, 0]]);
+  assert.equal(scale.colorFor(0), 'white');
+  assert.equal(scale.colorFor(12), 'white');
+});
+
+test('a single distinct value gets one bucket in the strongest color', () => {
+  const scale = createColorScale([7, 0, 7, 7]);
+  assert.deepEqual(ranges(scale), [[0, 0], [7, 7]]);
+  assert.equal(scale.colorFor(7), GREEN[GREEN.length - 1]);
+});
+
+test('linear buckets split the range evenly', () => {
+  const scale = createColorScale(Array.from({ length: 100 }, (_, i) => i + 1), { locale: 'en' });
+  assert.deepEqual(ranges(scale), [[0, 0], [1, 20], [21, 40], [41, 60], [61, 80], [81, 100]]);
+  assert.equal(scale.levelFor(20).label, '1–20');
+  assert.equal(scale.colorFor(21), GREEN[1]);
+  assert.equal(scale.colorFor(100), GREEN[4]);
+});
+
+test('log buckets ignore zeros and grow geometrically', () => {
+  const scale = createColorScale([0, 0, 1, 10, 100, 1000], { type: 'log', locale: 'en' });
+  assert.deepEqual(ranges(scale), [[0, 0], [1, 3], [4, 15], [16, 63], [64, 251], [252, 1000]]);
+  assert.equal(scale.levelFor(0).label, '0');
+  assert.equal(scale.levelFor(500).label, '252–1,000');
+});
+
+test('quantile buckets merge when boundaries round to the same count', () => {
+  const scale = createColorScale([1, 1, 1, 1, 1, 1, 1, 1, 2, 50], { type: 'quantile' });
+  assert.deepEqual(ranges(scale), [[0, 0], [1, 1], [2, 50]]);
+  assert.equal(scale.colorFor(1), GREEN[0]);
+  assert.equal(scale.colorFor(2), GREEN[4]);
+});
+
+test('quantile buckets hold equal shares of evenly spread data', () => {
+  const scale = createColorScale([1, 2, 3, 4, 5, 6, 7, 8, 9, 10], { type: 'quantile' });
+  assert.deepEqual(ranges(scale), [[0, 0], [1, 2], [3, 4], [5, 6], [7, 8], [9, 10]]);
+});
+
+test('the dark scheme runs the palette from the darkest color', () => {
+  const scale = createColorScale(Array.from({ length: 100 }, (_, i) => i + 1), { scheme: 'dark' });
+  assert.equal(scale.colorFor(1), GREEN[4]);
+  assert.equal(scale.colorFor(100), GREEN[0]);
+});
@@ -0,0 +1,20 @@
+// Runtime configuration, read from Vite env variables (see .env.example).
+// Outside Vite (e.g. under node --test) every setting takes its default.
+const env = import.meta.env ?? {};
+
+export const API_BASE_URL = env.VITE_API_URL || '/api';
+export const AUTH_URL = env.VITE_AUTH_URL || `${API_BASE_URL}/auth`;
+
+// Each resource can be served by a different backend; they all default to
+// API_BASE_URL, which the bundled mock API answers during development.
+export const DATA_SOURCE_URLS = {
+  users: env.VITE_USERS_API_URL || API_BASE_URL,
+  sales: env.VITE_SALES_API_URL || API_BASE_URL,
+  activity: env.VITE_ACTIVITY_API_URL || API_BASE_URL,
+  workspace: env.VITE_WORKSPACE_API_URL || API_BASE_URL,
+  live: env.VITE_LIVE_API_URL || API_BASE_URL,
+};
+
+// 'client' filters the full user list in the browser, 'server' asks the API
+// for one filtered page at a time.
+export const USERS_PAGINATION_MODE = env.VITE_USERS_PAGINATION === 'server' ? 'server' : 'client';
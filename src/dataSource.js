@@ -0,0 +1,53 @@
+import { DATA_SOURCE_URLS } from './config.js';
+import { fetchJson, fetchPage } from './api.js';
+import { connectLiveUpdates } from './live.js';
+
+// A data source is a plain object implementing the methods below. Every
+// method receives the request context ({ token, signal }) last, so an
+// alternative implementation (in-memory, GraphQL, ...) can be swapped in
+// through DataSourceContext without touching the hooks.
+export function createHttpDataSource(urls = DATA_SOURCE_URLS) {
+  const users = `${urls.users}/users`;
+
+  return {
+    getUsers: ({ token, signal }) => fetchJson(users, token, { signal }),
+
+    getUsersPage: (search, { token, signal }) => fetchPage(`${users}?${search}`, token, { signal }),
+
+    getUser: (id, { token, signal }) => fetchJson(`${users}/${id}`, token, { signal }),
+
+    getUserResource: (id, resource, { token, signal }) => fetchJson(`${users}/${id}/${resource}`, token, { signal }),
+
+    createUser: (values, { token }) => fetchJson(users, token, { method: 'POST', body: values }),
+
+    updateUser: (values, { token }) => fetchJson(`${users}/${values.id}`, token, { method: 'PUT', body: values }),
+
+    deleteUser: (id, { token }) => fetchJson(`${users}/${id}`, token, { method: 'DELETE' }),
+
+    getSales: ({ from, to, granularity }, { token, signal }) => {
+      const search = new URLSearchParams({ from, to, granularity });
+      return fetchJson(`${urls.sales}/sales?${search}`, token, { signal });
+    },
+
+    getActivity: ({ from, to }, { token, signal }) => {
+      const search = new URLSearchParams({ from, to });
+      return fetchJson(`${urls.activity}/activity?${search}`, token, { signal });
+    },
+
+    getHourlyActivity: ({ from, to }, { token, signal }) => {
+      const search = new URLSearchParams({ from, to });
+      return fetchJson(`${urls.activity}/activity/hourly?${search}`, token, { signal });
+    },
+
+    getActivityDay: (date, { token, signal }) => fetchJson(`${urls.activity}/activity/days/${date}`, token, { signal }),
+
+    getWorkspace: ({ token, signal }) => fetchJson(`${urls.workspace}/workspace`, token, { signal }),
+
+    updateWorkspace: (values, { token }) => fetchJson(`${urls.workspace}/workspace`, token, { method: 'PUT', body: values }),
+
+    // Pushes live events ({ id, type, data }) to onEvent until the returned
+    // function is called. Takes a token getter rather than a token since
+    // the connection outlives token refreshes.
+    subscribe: ({ onEvent, onStatus }, { getToken }) => connectLiveUpdates(`${urls.live}/live`, { getToken, onEvent, onStatus }),
+  };
+}
@@ -0,0 +1,103 @@
+import { translate } from './i18n.js';
+
+// Dates in reports are calendar days, exchanged with the API as YYYY-MM-DD
+// strings and handled as UTC midnights so local time zones never shift them.
+// Formatting functions take the locale to format for (the browser's when
+// omitted).
+
+export const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const GRANULARITIES = [
+  { id: 'day', labelKey: 'dates.granularities.day' },
+  { id: 'week', labelKey: 'dates.granularities.week' },
+  { id: 'month', labelKey: 'dates.granularities.month' },
+  { id: 'quarter', labelKey: 'dates.granularities.quarter' },
+  { id: 'year', labelKey: 'dates.granularities.year' },
+];
+
+export function parseISODate(value) {
+  return Date.parse(`${value}T00:00:00Z`);
+}
+
+export function toISODate(time) {
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+// The current UTC day: reports are bucketed by UTC day on the server, so
+// the local calendar date would be a day off near midnight.
+export function today() {
+  const now = new Date();
+  return Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+}
+
+export function addDays(time, days) {
+  return time + days * DAY_MS;
+}
+
+// Month ends stay in the target month: a month before March 31 is
+// February 28 (or 29), not March 3.
+export function addMonths(time, months) {
+  const date = new Date(time);
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth() + months;
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  return Date.UTC(year, month, Math.min(date.getUTCDate(), lastDay));
+}
+
+export const DATE_RANGE_PRESETS = [
+  { id: '30d', labelKey: 'dates.presets.30d', granularity: 'day', range: (end) => [addDays(end, -29), end] },
+  { id: '12w', labelKey: 'dates.presets.12w', granularity: 'week', range: (end) => [addDays(end, -83), end] },
+  { id: '12m', labelKey: 'dates.presets.12m', granularity: 'month', range: (end) => [addDays(addMonths(end, -12), 1), end] },
+  { id: 'ytd', labelKey: 'dates.presets.ytd', granularity: 'month', range: (end) => [Date.UTC(new Date(end).getUTCFullYear(), 0, 1), end] },
+  { id: '3y', labelKey: 'dates.presets.3y', granularity: 'quarter', range: (end) => [addDays(addMonths(end, -36), 1), end] },
+];
+
+export function presetRange(presetId) {
+  const preset = DATE_RANGE_PRESETS.find(p => p.id === presetId);
+  const [from, to] = preset.range(today());
+  return { from: toISODate(from), to: toISODate(to), granularity: preset.granularity };
+}
+
+const utc = (options) => ({ ...options, timeZone: 'UTC' });
+
+// Short labels for chart axes; `long` is used for tooltip titles.
+export function formatPeriod(isoDate, granularity, { long = false, locale } = {}) {
+  const date = new Date(parseISODate(isoDate));
+  switch (granularity) {
+    case 'day':
+      return date.toLocaleDateString(locale, utc({ month: 'short', day: 'numeric', ...(long && { year: 'numeric', weekday: 'short' }) }));
+    case 'week': {
+      const label = date.toLocaleDateString(locale, utc({ month: 'short', day: 'numeric', ...(long && { year: 'numeric' }) }));
+      return long ? translate(locale, 'dates.weekOf', { date: label }) : label;
+    }
+    case 'quarter':
+      return translate(locale, 'dates.quarter', {
+        quarter: Math.floor(date.getUTCMonth() / 3) + 1,
+        year: date.toLocaleDateString(locale, utc({ year: 'numeric' })),
+      });
+    case 'year':
+      return date.toLocaleDateString(locale, utc({ year: 'numeric' }));
+    default:
+      return date.toLocaleDateString(locale, utc({ month: long ? 'long' : 'short', year: 'numeric' }));
+  }
+}
+
+export function formatDate(isoDate, locale) {
+  return new Date(parseISODate(isoDate)).toLocaleDateString(locale, utc({ month: 'short', day: 'numeric', year: 'numeric' }));
+}
+
+export function addPeriods(isoDate, granularity, count) {
+  const time = parseISODate(isoDate);
+  switch (granularity) {
+    case 'day':
+      return toISODate(addDays(time, count));
+    case 'week':
+      return toISODate(addDays(time, count * 7));
+    case 'quarter':
+      return toISODate(addMonths(time, count * 3));
+    case 'year':
+      return toISODate(addMonths(time, count * 12));
+    default:
+      return toISODate(addMonths(time, count));
+  }
+}
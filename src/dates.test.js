@@ -0,0 +1,45 @@
+import assert from 'node:assert/strict';
+import { mock, test } from 'node:test';
+import { addMonths, addPeriods, parseISODate, toISODate, today } from './dates.js';
+
+test('addMonths keeps the day of month when the target month has it', () => {
+  assert.equal(toISODate(addMonths(parseISODate('2025-01-15'), 1)), '2025-02-15');
+  assert.equal(toISODate(addMonths(parseISODate('2025-01-31'), -2)), '2024-11-30');
+  assert.equal(toISODate(addMonths(parseISODate('2025-11-30'), 3)), '2026-02-28');
+});
+
+test('addMonths clamps to the last day of a shorter month', () => {
+  assert.equal(toISODate(addMonths(parseISODate('2025-01-31'), 1)), '2025-02-28');
+  assert.equal(toISODate(addMonths(parseISODate('2024-01-31'), 1)), '2024-02-29');
+  assert.equal(toISODate(addMonths(parseISODate('2025-05-31'), 1)), '2025-06-30');
+});
+
+test('addPeriods steps back from a month end into the previous month', () => {
+  assert.equal(addPeriods('2025-03-31', 'month', -1), '2025-02-28');
+  assert.equal(addPeriods('2025-05-31', 'quarter', -1), '2025-02-28');
+});
+
+test('addPeriods maps a leap day to February 28 in other years', () => {
+  assert.equal(addPeriods('2024-02-29', 'year', -1), '2023-02-28');
+  assert.equal(addPeriods('2024-02-29', 'year', 4), '2028-02-29');
+});
+
+test('addPeriods steps days and weeks by exact lengths', () => {
+  assert.equal(addPeriods('2025-03-01', 'day', -1), '2025-02-28');
+  assert.equal(addPeriods('2024-12-30', 'week', 1), '2025-01-06');
+});
+
+test('today is the UTC day whatever the local time zone', (t) => {
+  const timeZone = process.env.TZ;
+  t.after(() => {
+    process.env.TZ = timeZone;
+    mock.timers.reset();
+  });
+  mock.timers.enable({ apis: ['Date'], now: Date.parse('2025-03-01T03:00:00Z') });
+
+  // Still the evening of February 28 in Los Angeles, already morning in Tokyo.
+  process.env.TZ = 'America/Los_Angeles';
+  assert.equal(toISODate(today()), '2025-03-01');
+  process.env.TZ = 'Asia/Tokyo';
+  assert.equal(toISODate(today()), '2025-03-01');
+});
@@ -0,0 +1,99 @@
+import { parseISODate } from './dates.js';
+
+// Exports take a list of columns and the rows to write. A column is
+// { header, type, value: row => cell, width? } where type is one of:
+//   'string'
+//   'number'
+//   'currency' a plain number, formatted as money (in options.currency)
+//              in spreadsheets
+//   'percent'  a number on a 0–100 scale
+//   'date'     a YYYY-MM-DD string
+// CSV cells hold raw values; XLSX cells are typed and formatted.
+
+const XLSX_FORMATS = {
+  number: '#,##0',
+  percent: '0.0%',
+  date: 'yyyy-mm-dd',
+};
+
+function isEmpty(value) {
+  return value === null || value === undefined || value === '' || Number.isNaN(value);
+}
+
+function csvCell(value, type = 'string') {
+  if (isEmpty(value)) return '';
+  if (type !== 'string') return String(value);
+  let text = String(value);
+  // Keep spreadsheet apps from evaluating user-entered text as a formula.
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCsv(columns, rows) {
+  const lines = [
+    columns.map(column => csvCell(column.header)),
+    ...rows.map(row => columns.map(column => csvCell(column.value(row), column.type))),
+  ];
+  return lines.map(cells => cells.join(',')).join('\r\n');
+}
+
+// Excel's [$symbol] prefix shows the symbol whatever the reader's locale.
+function currencyFormat(currency) {
+  const parts = new Intl.NumberFormat('en', { style: 'currency', currency }).formatToParts(0);
+  return `[$${parts.find(part => part.type === 'currency').value}]#,##0`;
+}
+
+function xlsxCell(value, type = 'string', currency) {
+  if (isEmpty(value)) return null;
+  switch (type) {
+    case 'date':
+      return { value: new Date(parseISODate(value)), type: Date, format: XLSX_FORMATS.date };
+    case 'percent':
+      return { value: value / 100, type: Number, format: XLSX_FORMATS.percent };
+    case 'currency':
+      return { value, type: Number, format: currencyFormat(currency) };
+    case 'number':
+      return { value, type: Number, format: XLSX_FORMATS.number };
+    default:
+      return { value: String(value), type: String };
+  }
+}
+
+export function saveBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+export function downloadCsv(filename, columns, rows) {
+  // The byte order mark makes Excel open the file as UTF-8.
+  saveBlob(new Blob(['\ufeff', toCsv(columns, rows)], { type: 'text/csv;charset=utf-8' }), `${filename}.csv`);
+}
+
+// The XLSX writer is only loaded the first time someone exports.
+export async function downloadXlsx(filename, columns, rows, { sheet = 'Data', currency = 'USD' } = {}) {
+  const { default: writeExcelFile } = await import('write-excel-file/browser');
+  const header = columns.map(column => ({ value: column.header, type: String, fontWeight: 'bold' }));
+  const data = rows.map(row => columns.map(column => xlsxCell(column.value(row), column.type, currency)));
+  const blob = await writeExcelFile([header, ...data], {
+    sheet: sheet.slice(0, 31),
+    columns: columns.map(column => ({ width: column.width ?? 16 })),
+    stickyRowsCount: 1,
+  }).toBlob();
+  saveBlob(blob, `${filename}.xlsx`);
+}
+
+export const EXPORT_FORMATS = [
+  { id: 'csv', labelKey: 'export.formats.csv' },
+  { id: 'xlsx', labelKey: 'export.formats.xlsx' },
+];
+
+export async function exportRows(format, filename, columns, rows, options) {
+  if (format === 'xlsx') await downloadXlsx(filename, columns, rows, options);
+  else downloadCsv(filename, columns, rows);
+}
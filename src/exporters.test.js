@@ -0,0 +1,57 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { downloadCsv, toCsv } from './exporters.js';
+
+const columns = [
+  { header: 'Name', type: 'string', value: row => row.name },
+  { header: 'Total', type: 'number', value: row => row.total },
+];
+
+test('text that a spreadsheet would run as a formula is prefixed with a quote', () => {
+  const rows = ['=SUM(A1:A2)', '+1', '-2', '@cmd', '\tTab'].map(name => ({ name, total: 1 }));
+  assert.deepEqual(toCsv(columns, rows).split('\r\n').slice(1), [
+    "'=SUM(A1:A2),1",
+    "'+1,1",
+    "'-2,1",
+    "'@cmd,1",
+    "'\tTab,1",
+  ]);
+});
+
+test('numbers are written as they are, negatives included', () => {
+  assert.equal(toCsv(columns, [{ name: 'Refund', total: -40 }]), 'Name,Total\r\nRefund,-40');
+});
+
+test('quotes, commas and line breaks are escaped by quoting the cell', () => {
+  const rows = [{ name: 'Say "hi"', total: 1 }, { name: 'Smith, Jane', total: 2 }, { name: 'Two\nlines', total: 3 }];
+  assert.deepEqual(toCsv(columns, rows).split('\r\n').slice(1, 3), ['"Say ""hi""",1', '"Smith, Jane",2']);
+  assert.ok(toCsv(columns, rows).endsWith('"Two\nlines",3'));
+});
+
+test('empty values leave the cell blank', () => {
+  assert.equal(toCsv(columns, [{ name: null, total: Number.NaN }]), 'Name,Total\r\n,');
+});
+
+test('downloaded CSV files start with a UTF-8 byte order mark', async (t) => {
+  let saved;
+  const { createObjectURL, revokeObjectURL } = URL;
+  URL.createObjectURL = (blob) => {
+    saved = blob;
+    return 'blob:test';
+  };
+  URL.revokeObjectURL = () => {};
+  globalThis.document = {
+    createElement: () => ({ click() {}, remove() {} }),
+    body: { appendChild() {} },
+  };
+  t.after(() => {
+    Object.assign(URL, { createObjectURL, revokeObjectURL });
+    delete globalThis.document;
+  });
+
+  downloadCsv('users', columns, [{ name: 'Zoë', total: 1 }]);
+  const bytes = new Uint8Array(await saved.arrayBuffer());
+  assert.deepEqual([...bytes.slice(0, 3)], [0xef, 0xbb, 0xbf]);
+  assert.equal(new TextDecoder('utf-8', { ignoreBOM: true }).decode(bytes.slice(3)), 'Name,Total\r\nZoë,1');
+  assert.equal(saved.type, 'text/csv;charset=utf-8');
+});
@@ -0,0 +1,112 @@
+import ar from './locales/ar.js';
+import en from './locales/en.js';
+import es from './locales/es.js';
+
+// Messages live in one catalog per locale (locales/en.js is the reference
+// and the fallback for anything a translation is missing) and are looked
+// up by dotted key. Like the theme, the locale is remembered per browser so
+// the login page is already translated.
+
+export const LOCALES = [
+  { id: 'en', label: 'English', dir: 'ltr' },
+  { id: 'es', label: 'Español', dir: 'ltr' },
+  { id: 'ar', label: 'العربية', dir: 'rtl' },
+];
+
+const CATALOGS = { en, es, ar };
+const DEFAULT_LOCALE = 'en';
+const STORAGE_KEY = 'dashboard.locale';
+
+// Until the workspace settings have loaded.
+export const DEFAULT_CURRENCY = 'USD';
+
+// Offered in the workspace settings.
+export const CURRENCIES = ['USD', 'EUR', 'GBP', 'JPY', 'CHF', 'CAD', 'AUD', 'INR', 'CNY', 'BRL', 'MXN', 'AED', 'SAR', 'EGP'];
+
+// A stored choice, otherwise the first browser language with a catalog.
+export function readLocalePreference() {
+  const stored = localStorage.getItem(STORAGE_KEY);
+  if (CATALOGS[stored]) return stored;
+  return navigator.languages.map(tag => tag.split('-')[0]).find(language => CATALOGS[language]) ?? DEFAULT_LOCALE;
+}
+
+export function writeLocalePreference(locale) {
+  localStorage.setItem(STORAGE_KEY, locale);
+}
+
+export function localeDirection(locale) {
+  return LOCALES.find(option => option.id === locale)?.dir ?? 'ltr';
+}
+
+export function applyLocale(locale) {
+  document.documentElement.lang = locale;
+  document.documentElement.dir = localeDirection(locale);
+}
+
+// Intl objects are costly to create and translate runs on every render.
+const intlCache = new Map();
+
+function cached(type, locale, options = {}) {
+  const key = `${type.name}|${locale}|${JSON.stringify(options)}`;
+  if (!intlCache.has(key)) intlCache.set(key, new type(locale, options));
+  return intlCache.get(key);
+}
+
+const lookup = (messages, key) => key.split('.').reduce((value, part) => value?.[part], messages);
+
+// Replaces `{name}` placeholders from params, formatting numbers for the
+// locale. A message that is an object holds plural forms keyed by
+// Intl.PluralRules category and is chosen by params.count (`other` is
+// required). params.fallback is used when no catalog has the key.
+export function translate(locale, key, params = {}) {
+  let message = lookup(CATALOGS[locale], key) ?? lookup(CATALOGS[DEFAULT_LOCALE], key) ?? params.fallback ?? key;
+  if (typeof message === 'object') message = message[cached(Intl.PluralRules, locale).select(params.count)] ?? message.other;
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+    const value = params[name];
+    if (value === undefined) return placeholder;
+    return typeof value === 'number' ? cached(Intl.NumberFormat, locale).format(value) : String(value);
+  });
+}
+
+// Errors raised in the browser (timeouts, no connection, a malformed
+// token) carry a code with a message in the catalog; anything else is
+// shown in the server's own words.
+const ERROR_MESSAGE_KEYS = {
+  TIMEOUT: 'errors.timeout',
+  NETWORK_ERROR: 'errors.network',
+  INVALID_TOKEN: 'errors.invalidToken',
+};
+
+export function translateError(locale, error) {
+  const key = ERROR_MESSAGE_KEYS[error?.code];
+  return key ? translate(locale, key) : error?.message;
+}
+
+export function currencyName(locale, currency) {
+  return cached(Intl.DisplayNames, locale, { type: 'currency' }).of(currency);
+}
+
+// Number and time formatting for a locale, with money in `currency`.
+// Percentages are on a 0–100 scale, as everywhere else in the dashboard.
+export function createFormatters(locale, currency = DEFAULT_CURRENCY) {
+  const number = cached(Intl.NumberFormat, locale);
+  const decimal = cached(Intl.NumberFormat, locale, { minimumFractionDigits: 1, maximumFractionDigits: 1 });
+  const money = cached(Intl.NumberFormat, locale, { style: 'currency', currency, maximumFractionDigits: 0 });
+  const compactMoney = cached(Intl.NumberFormat, locale, { style: 'currency', currency, notation: 'compact', maximumFractionDigits: 1 });
+  const percent = cached(Intl.NumberFormat, locale, { style: 'percent', maximumFractionDigits: 1 });
+  const change = cached(Intl.NumberFormat, locale, { style: 'percent', maximumFractionDigits: 1, signDisplay: 'exceptZero' });
+  const time = cached(Intl.DateTimeFormat, locale, { timeStyle: 'medium' });
+  const dateTime = cached(Intl.DateTimeFormat, locale, { dateStyle: 'medium', timeStyle: 'short' });
+
+  return {
+    currencyCode: currency,
+    number: value => number.format(value),
+    decimal: value => decimal.format(value),
+    currency: value => money.format(value),
+    compactCurrency: value => compactMoney.format(value),
+    percent: value => percent.format(value / 100),
+    change: value => change.format(value / 100),
+    time: value => time.format(value),
+    dateTime: value => dateTime.format(value),
+  };
+}
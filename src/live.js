@@ -0,0 +1,114 @@
+import { getRetryDelay } from './api.js';
+
+// Live updates are read as Server-Sent Events. EventSource can't send an
+// Authorization header, so the stream is read with fetch instead, which
+// also leaves reconnection (and its backoff) up to us.
+
+// The server sends a comment at least this often; a stream that stays
+// silent for longer is treated as dropped.
+const STALL_TIMEOUT = 45000;
+
+// Status reported through onStatus.
+export const LIVE_STATUSES = ['connecting', 'live', 'reconnecting', 'offline'];
+
+// Splits a text/event-stream body into { id, type, data } events, calling
+// onChunk for every chunk received (comments included).
+async function readEventStream(body, { onEvent, onChunk }) {
+  const reader = body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = '';
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) return;
+    onChunk();
+    buffer += value;
+    const blocks = buffer.split(/\r?\n\r?\n/);
+    buffer = blocks.pop();
+    blocks.forEach(block => {
+      const event = { id: null, type: 'message', data: '' };
+      block.split(/\r?\n/).forEach(line => {
+        if (!line || line.startsWith(':')) return;
+        const [, field, value = ''] = line.match(/^([^:]*):? ?(.*)$/);
+        if (field === 'id') event.id = value;
+        else if (field === 'event') event.type = value;
+        else if (field === 'data') event.data += event.data ? `\n${value}` : value;
+      });
+      if (event.data) onEvent({ ...event, data: JSON.parse(event.data) });
+    });
+  }
+}
+
+// Keeps a connection to `url` open until the returned function is called,
+// reconnecting with backoff and resuming from the last event received.
+// The token is read on every attempt so refreshed sessions are picked up;
+// without one there is nothing to authenticate with, so the stream waits
+// for the caller to connect again once it has a token.
+export function connectLiveUpdates(url, { getToken, onEvent, onStatus }) {
+  let stopped = false;
+  let active = false;
+  let attempt = 0;
+  let lastEventId = null;
+  let controller = null;
+  let retryTimer = null;
+  let stallTimer = null;
+
+  const watchForStall = () => {
+    clearTimeout(stallTimer);
+    stallTimer = setTimeout(() => controller.abort(), STALL_TIMEOUT);
+  };
+
+  const connect = async () => {
+    clearTimeout(retryTimer);
+    if (!navigator.onLine) {
+      onStatus('offline');
+      return;
+    }
+    onStatus(attempt ? 'reconnecting' : 'connecting');
+    const token = getToken();
+    if (!token) return;
+    active = true;
+    controller = new AbortController();
+    try {
+      const headers = { Accept: 'text/event-stream', Authorization: `Bearer ${token}` };
+      if (lastEventId) headers['Last-Event-ID'] = lastEventId;
+      const res = await fetch(url, { headers, signal: controller.signal });
+      if (!res.ok || !res.body) throw new Error(`HTTP ${res.status}`);
+      onStatus('live');
+      attempt = 0;
+      watchForStall();
+      await readEventStream(res.body, {
+        onChunk: watchForStall,
+        onEvent: (event) => {
+          if (event.id) lastEventId = event.id;
+          onEvent(event);
+        },
+      });
+    } catch {
+      // Dropped, refused or stalled; all handled by reconnecting below.
+    }
+    clearTimeout(stallTimer);
+    active = false;
+    if (stopped) return;
+    onStatus(navigator.onLine ? 'reconnecting' : 'offline');
+    retryTimer = setTimeout(connect, getRetryDelay(attempt++));
+  };
+
+  // Don't wait out the backoff once the network is back.
+  const handleOnline = () => {
+    if (active) return;
+    attempt = 0;
+    connect();
+  };
+  const handleOffline = () => controller?.abort();
+  window.addEventListener('online', handleOnline);
+  window.addEventListener('offline', handleOffline);
+  connect();
+
+  return () => {
+    stopped = true;
+    clearTimeout(retryTimer);
+    clearTimeout(stallTimer);
+    controller?.abort();
+    window.removeEventListener('online', handleOnline);
+    window.removeEventListener('offline', handleOffline);
+  };
+}
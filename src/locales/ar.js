@@ -0,0 +1,451 @@
+// Arabic distinguishes zero, one, two, few, many and other plural forms.
+export default {
+  common: {
+    cancel: 'إلغاء',
+    close: 'إغلاق',
+    dismiss: 'تجاهل',
+    refresh: 'تحديث',
+    tryAgain: 'إعادة المحاولة',
+    pleaseWait: 'يرجى الانتظار',
+    loading: 'جارٍ التحميل...',
+    error: 'حدث خطأ ما',
+    paused: 'أنت غير متصل. سيتم التحميل عند إعادة الاتصال.',
+    never: 'أبدًا',
+  },
+  errors: {
+    timeout: 'استغرق الخادم وقتًا طويلاً للرد.',
+    network: 'خطأ في الشبكة: تعذّر الوصول إلى الخادم.',
+    invalidToken: 'أرسل الخادم رمز دخول غير صالح.',
+  },
+  auth: {
+    title: 'مرحبًا بعودتك',
+    subtitle: 'سجّل الدخول للوصول إلى لوحة التحكم',
+    email: 'البريد الإلكتروني',
+    password: 'كلمة المرور',
+    signIn: 'تسجيل الدخول',
+    signingIn: 'جارٍ تسجيل الدخول...',
+    loginFailed: 'تعذّر تسجيل الدخول',
+    demoAccounts: 'حسابات تجريبية:',
+    sessionExpired: 'انتهت صلاحية جلستك. يرجى تسجيل الدخول مرة أخرى.',
+  },
+  header: {
+    title: 'لوحة المستخدمين',
+    welcome: 'مرحبًا بعودتك، {name}',
+    defaultName: 'مستخدم',
+    syncing: 'جارٍ مزامنة البيانات...',
+    logout: 'تسجيل الخروج',
+    theme: 'المظهر',
+    language: 'اللغة',
+    liveConnection: 'اتصال التحديثات المباشرة',
+  },
+  tabs: {
+    overview: 'نظرة عامة',
+    sales: 'المبيعات',
+    activity: 'النشاط',
+    users: 'المستخدمون',
+  },
+  live: {
+    connecting: 'جارٍ الاتصال...',
+    live: 'مباشر',
+    reconnecting: 'جارٍ إعادة الاتصال...',
+    offline: 'غير متصل',
+  },
+  offline: {
+    message: 'أنت غير متصل.',
+    cached: 'أنت غير متصل — تُعرض بيانات محفوظة من {time}.',
+    queued: {
+      zero: 'لا توجد تغييرات بانتظار الإرسال.',
+      one: 'سيُرسل تغيير واحد عند إعادة الاتصال.',
+      two: 'سيُرسل تغييران عند إعادة الاتصال.',
+      few: 'ستُرسل {count} تغييرات عند إعادة الاتصال.',
+      many: 'سيُرسل {count} تغييرًا عند إعادة الاتصال.',
+      other: 'سيُرسل {count} تغيير عند إعادة الاتصال.',
+    },
+  },
+  idle: {
+    title: 'هل ما زلت هنا؟',
+    message: {
+      zero: 'سيتم تسجيل خروجك الآن بسبب عدم النشاط.',
+      one: 'سيتم تسجيل خروجك خلال ثانية واحدة بسبب عدم النشاط.',
+      two: 'سيتم تسجيل خروجك خلال ثانيتين بسبب عدم النشاط.',
+      few: 'سيتم تسجيل خروجك خلال {count} ثوانٍ بسبب عدم النشاط.',
+      many: 'سيتم تسجيل خروجك خلال {count} ثانية بسبب عدم النشاط.',
+      other: 'سيتم تسجيل خروجك خلال {count} ثانية بسبب عدم النشاط.',
+    },
+    signOut: 'تسجيل الخروج',
+    stay: 'البقاء متصلًا',
+  },
+  theme: {
+    system: 'النظام',
+    light: 'فاتح',
+    dark: 'داكن',
+    contrast: 'تباين عالٍ',
+  },
+  workspace: {
+    title: 'إعدادات مساحة العمل',
+    currency: 'العملة',
+    currencyHint: 'تُعرض أرقام المبيعات بهذه العملة لجميع أعضاء مساحة العمل. تتغير تسمية المبالغ دون تحويلها.',
+    save: 'حفظ',
+    saving: 'جارٍ الحفظ...',
+    saved: 'تم حفظ إعدادات مساحة العمل',
+    failed: 'تعذّر حفظ إعدادات مساحة العمل: {message}',
+  },
+  overview: {
+    customize: 'تخصيص',
+    done: 'تم',
+    reset: 'استعادة الافتراضي',
+    hidden: 'اللوحات المخفية:',
+    empty: 'جميع اللوحات مخفية. اختر تخصيص لإضافتها من جديد.',
+    drag: 'اسحب للنقل',
+    width: 'عرض {title}',
+    moveEarlier: 'نقل {title} إلى الأمام',
+    moveLater: 'نقل {title} إلى الخلف',
+    hide: 'إخفاء {title}',
+    sizes: {
+      half: 'نصف العرض',
+      twoThirds: 'الثلثان',
+      full: 'العرض الكامل',
+    },
+  },
+  access: {
+    title: 'الوصول مقيّد',
+    message: 'لا يتضمن دورك الوصول إلى هذا القسم. اطلب ذلك من المسؤول إذا كنت بحاجة إليه.',
+  },
+  export: {
+    button: 'تصدير',
+    failed: 'تعذّر التصدير: {message}',
+    formats: {
+      csv: 'CSV ‏(.csv)',
+      xlsx: 'Excel ‏(.xlsx)',
+    },
+  },
+  stats: {
+    panel: 'الملخص',
+    totalUsers: 'إجمالي المستخدمين',
+    cacheStatus: 'حالة ذاكرة التخزين المؤقت',
+    lastUpdated: 'آخر تحديث',
+    cachedQueries: {
+      zero: 'لا توجد استعلامات مخزنة',
+      one: 'استعلام مخزن واحد',
+      two: 'استعلامان مخزنان',
+      few: '{count} استعلامات مخزنة',
+      many: '{count} استعلامًا مخزنًا',
+      other: '{count} استعلام مخزن',
+    },
+    statuses: {
+      fresh: 'محدّثة',
+      updating: 'جارٍ التحديث...',
+      stale: 'قديمة',
+      offline: 'غير متصل',
+    },
+  },
+  dates: {
+    weekOf: 'أسبوع {date}',
+    quarter: 'الربع {quarter} {year}',
+    granularities: {
+      day: 'يومي',
+      week: 'أسبوعي',
+      month: 'شهري',
+      quarter: 'ربع سنوي',
+      year: 'سنوي',
+    },
+    presets: {
+      '30d': 'آخر 30 يومًا',
+      '12w': 'آخر 12 أسبوعًا',
+      '12m': 'آخر 12 شهرًا',
+      ytd: 'منذ بداية العام',
+      '3y': 'آخر 3 سنوات',
+    },
+  },
+  sales: {
+    title: 'تقرير المبيعات',
+    subtitle: 'الإيرادات مقابل المصروفات · {range}',
+    loading: 'جارٍ تحميل بيانات المبيعات...',
+    error: 'تعذّر تحميل بيانات المبيعات',
+    zoomHint: 'Ctrl مع التمرير للتكبير، والسحب للتنقل',
+    resetZoom: 'إعادة ضبط التكبير',
+    chartType: 'نوع المخطط',
+    brushStart: 'بداية النطاق',
+    brushEnd: 'نهاية النطاق',
+    sheet: 'المبيعات',
+    yoyChange: '({change} على أساس سنوي)',
+    views: {
+      line: 'خطي',
+      area: 'مساحي',
+      bar: 'أعمدة',
+      stacked: 'مكدّس',
+      combo: 'مركّب',
+    },
+    series: {
+      revenue: 'الإيرادات',
+      expenses: 'المصروفات',
+      profit: 'صافي الربح',
+      margin: 'الهامش %',
+      prior: 'الإيرادات (العام السابق)',
+      forecast: 'توقعات الإيرادات',
+    },
+    columns: {
+      periodStart: 'بداية الفترة',
+      period: 'الفترة',
+      revenue: 'الإيرادات',
+      expenses: 'المصروفات',
+      profit: 'صافي الربح',
+      margin: 'الهامش %',
+      prior: 'الإيرادات (العام السابق)',
+      change: 'التغير السنوي %',
+    },
+    range: {
+      label: 'النطاق الزمني',
+      custom: 'نطاق مخصص',
+      from: 'تاريخ البداية',
+      to: 'تاريخ النهاية',
+      separator: 'إلى',
+      granularity: 'الدقة',
+      invalid: 'يجب أن يسبق تاريخ البداية تاريخ النهاية.',
+    },
+  },
+  heatmap: {
+    title: 'خريطة النشاط',
+    subtitle: 'تفاعل المستخدمين',
+    subtitleHourly: 'التفاعل حسب يوم الأسبوع والساعة',
+    loading: 'جارٍ تحميل بيانات النشاط...',
+    error: 'تعذّر تحميل بيانات النشاط',
+    viewLabel: 'عرض الخريطة',
+    rangeLabel: 'نطاق النشاط',
+    weekStart: 'يبدأ الأسبوع يوم',
+    scale: 'المقياس',
+    colors: 'الألوان',
+    legend: 'الأنشطة في اليوم:',
+    legendHourly: 'الأنشطة في الساعة:',
+    timeZone: 'UTC',
+    sheet: 'النشاط',
+    sheetHourly: 'النشاط حسب الساعة',
+    gridLabel: 'النشاط اليومي. استخدم مفاتيح الأسهم للتنقل بين الأيام وEnter لفتح أحدها.',
+    canvasLabel: {
+      zero: 'لا يوجد نشاط يومي.',
+      one: 'النشاط اليومي ليوم واحد. استخدم مفاتيح الأسهم للتنقل بين الأيام وEnter لفتح أحدها.',
+      two: 'النشاط اليومي ليومين. استخدم مفاتيح الأسهم للتنقل بين الأيام وEnter لفتح أحدها.',
+      few: 'النشاط اليومي لـ {count} أيام. استخدم مفاتيح الأسهم للتنقل بين الأيام وEnter لفتح أحدها.',
+      many: 'النشاط اليومي لـ {count} يومًا. استخدم مفاتيح الأسهم للتنقل بين الأيام وEnter لفتح أحدها.',
+      other: 'النشاط اليومي لـ {count} يوم. استخدم مفاتيح الأسهم للتنقل بين الأيام وEnter لفتح أحدها.',
+    },
+    activities: {
+      zero: 'لا أنشطة',
+      one: 'نشاط واحد',
+      two: 'نشاطان',
+      few: '{count} أنشطة',
+      many: '{count} نشاطًا',
+      other: '{count} نشاط',
+    },
+    band: 'الفئة {range}',
+    hourRange: '{weekday}، {from} – {to} UTC',
+    hourAverage: 'بمعدل {average} في كل {weekday}',
+    views: {
+      calendar: 'التقويم',
+      hourly: 'حسب الساعة',
+    },
+    ranges: {
+      '4w': 'آخر 4 أسابيع',
+      '12w': 'آخر 12 أسبوعًا',
+      '26w': 'آخر 6 أشهر',
+      '52w': 'العام الماضي',
+      '104w': 'آخر سنتين',
+      '260w': 'آخر 5 سنوات',
+    },
+    scales: {
+      linear: 'خطي',
+      log: 'لوغاريتمي',
+      quantile: 'مئيني',
+    },
+    palettes: {
+      green: 'أخضر',
+      blue: 'أزرق',
+      viridis: 'Viridis (مناسب لعمى الألوان)',
+      cividis: 'Cividis (مناسب لعمى الألوان)',
+      magma: 'Magma (مناسب لعمى الألوان)',
+    },
+    stats: {
+      total: 'إجمالي الأنشطة',
+      dailyAverage: 'المتوسط اليومي',
+      peak: 'ذروة النشاط',
+      peakHour: 'ساعة الذروة (UTC)',
+      busiestWeekday: 'أكثر الأيام نشاطًا',
+    },
+    columns: {
+      date: 'التاريخ',
+      weekday: 'يوم الأسبوع',
+      activity: 'النشاط',
+      hour: 'الساعة (UTC)',
+      average: 'المتوسط اليومي',
+    },
+  },
+  activityDay: {
+    label: 'النشاط في {date}',
+    loading: 'جارٍ تحميل النشاط...',
+    error: 'تعذّر تحميل النشاط',
+    empty: 'لا يوجد نشاط في هذا اليوم.',
+    close: 'إغلاق تفاصيل اليوم',
+    byType: 'حسب النوع',
+    byUser: 'حسب المستخدم',
+    moreUsers: {
+      zero: 'ولا مستخدمين آخرين',
+      one: 'ومستخدم آخر',
+      two: 'ومستخدمان آخران',
+      few: 'و{count} مستخدمين آخرين',
+      many: 'و{count} مستخدمًا آخر',
+      other: 'و{count} مستخدم آخر',
+    },
+    recent: 'الأحداث الأخيرة',
+    showing: 'عرض آخر {shown} من أصل {total} حدث.',
+    types: {
+      page_view: 'عرض صفحة',
+      login: 'تسجيل دخول',
+      comment: 'تعليق',
+      upload: 'رفع ملف',
+      export: 'تصدير تقرير',
+      settings: 'تغيير الإعدادات',
+    },
+  },
+  users: {
+    title: 'المستخدمون',
+    loading: 'جارٍ تحميل المستخدمين...',
+    error: 'تعذّر تحميل المستخدمين',
+    saving: 'جارٍ الحفظ...',
+    sheet: 'المستخدمون',
+    searchPlaceholder: 'ابحث بالاسم أو البريد أو الشركة',
+    searchLabel: 'البحث في المستخدمين',
+    filterCompany: 'التصفية حسب الشركة',
+    filterCity: 'التصفية حسب المدينة',
+    sortLabel: 'ترتيب المستخدمين',
+    sort: {
+      nameAsc: 'الاسم (أ–ي)',
+      nameDesc: 'الاسم (ي–أ)',
+    },
+    clear: 'مسح',
+    noMatches: 'لا يوجد مستخدمون يطابقون عوامل التصفية',
+    empty: 'لم يتم العثور على مستخدمين',
+    showing: 'عرض {from}–{to} من أصل {total}',
+    page: 'الصفحة {page} من {count}',
+    previousPage: 'الصفحة السابقة',
+    nextPage: 'الصفحة التالية',
+    edit: 'تعديل {name}',
+    delete: 'حذف {name}',
+    deleteTitle: 'حذف المستخدم',
+    deleteMessage: 'سيُحذف {name} نهائيًا. لا يمكن التراجع عن هذا الإجراء.',
+    deleteConfirm: 'حذف',
+    added: 'تمت إضافة {name}',
+    updated: 'تم تحديث {name}',
+    deleted: 'تم حذف {name}',
+    addFailed: 'تعذّرت إضافة المستخدم: {message}',
+    updateFailed: 'تعذّر تحديث المستخدم: {message}',
+    deleteFailed: 'تعذّر حذف المستخدم: {message}',
+    columns: {
+      id: 'المعرّف',
+      name: 'الاسم',
+      username: 'اسم المستخدم',
+      email: 'البريد الإلكتروني',
+      phone: 'الهاتف',
+      website: 'الموقع الإلكتروني',
+      company: 'الشركة',
+      street: 'الشارع',
+      suite: 'الوحدة',
+      city: 'المدينة',
+      zipcode: 'الرمز البريدي',
+    },
+  },
+  userForm: {
+    addTitle: 'إضافة مستخدم',
+    editTitle: 'تعديل المستخدم',
+    save: 'حفظ التغييرات',
+    add: 'إضافة مستخدم',
+    fields: {
+      name: 'الاسم الكامل',
+      username: 'اسم المستخدم',
+      email: 'البريد الإلكتروني',
+      phone: 'الهاتف',
+      website: 'الموقع الإلكتروني',
+      company: 'الشركة',
+      city: 'المدينة',
+    },
+    errors: {
+      nameRequired: 'الاسم مطلوب',
+      emailRequired: 'البريد الإلكتروني مطلوب',
+      emailInvalid: 'أدخل بريدًا إلكترونيًا صالحًا',
+      emailTaken: 'هذا البريد مستخدم لدى مستخدم آخر',
+      phoneInvalid: 'أدخل رقم هاتف صالحًا',
+      websiteInvalid: 'أدخل نطاقًا مثل example.com',
+    },
+  },
+  userDetail: {
+    back: 'العودة إلى المستخدمين',
+    loading: 'جارٍ تحميل الملف الشخصي...',
+    error: 'تعذّر تحميل الملف الشخصي',
+    notFound: 'المستخدم غير موجود',
+    phone: 'الهاتف',
+    website: 'الموقع الإلكتروني',
+    address: 'العنوان',
+    company: 'الشركة',
+    posts: {
+      title: 'المنشورات',
+      loading: 'جارٍ تحميل المنشورات...',
+      error: 'تعذّر تحميل المنشورات',
+      empty: 'لا توجد منشورات بعد',
+    },
+    todos: {
+      title: 'المهام',
+      loading: 'جارٍ تحميل المهام...',
+      error: 'تعذّر تحميل المهام',
+      empty: 'لا توجد مهام بعد',
+    },
+    albums: {
+      title: 'الألبومات',
+      loading: 'جارٍ تحميل الألبومات...',
+      error: 'تعذّر تحميل الألبومات',
+      empty: 'لا توجد ألبومات بعد',
+    },
+  },
+  topCompanies: {
+    title: 'أبرز الشركات',
+    empty: 'لا توجد شركات بعد',
+    users: {
+      zero: 'لا مستخدمين',
+      one: 'مستخدم واحد',
+      two: 'مستخدمان',
+      few: '{count} مستخدمين',
+      many: '{count} مستخدمًا',
+      other: '{count} مستخدم',
+    },
+  },
+  report: {
+    title: 'تقرير لوحة التحكم',
+    dialogTitle: 'إنشاء تقرير',
+    description: 'يلتقط بطاقات الملخص ومخطط المبيعات وخريطة النشاط كما تظهر تمامًا، بما في ذلك النطاق الزمني وطريقة العرض المحددين.',
+    format: 'التنسيق',
+    formats: {
+      pdf: {
+        label: 'مستند PDF',
+        description: 'صفحة عنوان تليها صفحة لكل لوحة',
+      },
+      png: {
+        label: 'صور PNG',
+        description: 'ملف صورة لكل لوحة',
+      },
+    },
+    generate: 'إنشاء',
+    generating: 'جارٍ الإنشاء...',
+    downloaded: 'تم تنزيل التقرير',
+    imagesDownloaded: {
+      zero: 'لم يتم تنزيل أي صور',
+      one: 'تم تنزيل صورة واحدة',
+      two: 'تم تنزيل صورتين',
+      few: 'تم تنزيل {count} صور',
+      many: 'تم تنزيل {count} صورة',
+      other: 'تم تنزيل {count} صورة',
+    },
+    failed: 'تعذّر إنشاء التقرير: {message}',
+    generatedAt: 'أُنشئ في {date}',
+    generatedBy: 'أنشأه {name}',
+    contents: 'المحتويات',
+    page: 'الصفحة {page} من {count}',
+  },
+};
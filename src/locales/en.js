@@ -0,0 +1,422 @@
+// The reference catalog: every key the dashboard uses is defined here, and
+// other locales fall back to it. Plural messages are keyed by
+// Intl.PluralRules category.
+export default {
+  common: {
+    cancel: 'Cancel',
+    close: 'Close',
+    dismiss: 'Dismiss',
+    refresh: 'Refresh',
+    tryAgain: 'Try Again',
+    pleaseWait: 'Please wait',
+    loading: 'Loading...',
+    error: 'Something Went Wrong',
+    paused: "You're offline. This will load once you reconnect.",
+    never: 'Never',
+  },
+  errors: {
+    timeout: 'The server took too long to respond.',
+    network: 'Network error: the server could not be reached.',
+    invalidToken: 'The server sent an invalid sign-in token.',
+  },
+  auth: {
+    title: 'Welcome Back',
+    subtitle: 'Sign in to access your dashboard',
+    email: 'Email Address',
+    password: 'Password',
+    signIn: 'Sign In',
+    signingIn: 'Signing in...',
+    loginFailed: 'Login failed',
+    demoAccounts: 'Demo accounts:',
+    sessionExpired: 'Your session has expired. Please sign in again.',
+  },
+  header: {
+    title: 'User Dashboard',
+    welcome: 'Welcome back, {name}',
+    defaultName: 'User',
+    syncing: 'Syncing data...',
+    logout: 'Logout',
+    theme: 'Theme',
+    language: 'Language',
+    liveConnection: 'Live updates connection',
+  },
+  tabs: {
+    overview: 'Overview',
+    sales: 'Sales',
+    activity: 'Activity',
+    users: 'Users',
+  },
+  live: {
+    connecting: 'Connecting...',
+    live: 'Live',
+    reconnecting: 'Reconnecting...',
+    offline: 'Offline',
+  },
+  offline: {
+    message: "You're offline.",
+    cached: "You're offline — showing cached data from {time}.",
+    queued: {
+      one: '{count} change will be sent when you reconnect.',
+      other: '{count} changes will be sent when you reconnect.',
+    },
+  },
+  idle: {
+    title: 'Are you still there?',
+    message: {
+      one: 'You will be signed out in {count} second due to inactivity.',
+      other: 'You will be signed out in {count} seconds due to inactivity.',
+    },
+    signOut: 'Sign Out',
+    stay: 'Stay Signed In',
+  },
+  theme: {
+    system: 'System',
+    light: 'Light',
+    dark: 'Dark',
+    contrast: 'High contrast',
+  },
+  workspace: {
+    title: 'Workspace settings',
+    currency: 'Currency',
+    currencyHint: 'Sales figures are shown in this currency for everyone in the workspace. Amounts are relabelled, not converted.',
+    save: 'Save',
+    saving: 'Saving...',
+    saved: 'Workspace settings saved',
+    failed: 'Could not save workspace settings: {message}',
+  },
+  overview: {
+    customize: 'Customize',
+    done: 'Done',
+    reset: 'Reset to default',
+    hidden: 'Hidden panels:',
+    empty: 'Every panel is hidden. Choose Customize to add some back.',
+    drag: 'Drag to move',
+    width: 'Width of {title}',
+    moveEarlier: 'Move {title} earlier',
+    moveLater: 'Move {title} later',
+    hide: 'Hide {title}',
+    sizes: {
+      half: 'Half width',
+      twoThirds: 'Two thirds',
+      full: 'Full width',
+    },
+  },
+  access: {
+    title: 'Access Restricted',
+    message: "Your role doesn't include access to this section. Ask an administrator if you need it.",
+  },
+  export: {
+    button: 'Export',
+    failed: 'Could not export: {message}',
+    formats: {
+      csv: 'CSV (.csv)',
+      xlsx: 'Excel (.xlsx)',
+    },
+  },
+  stats: {
+    panel: 'Summary',
+    totalUsers: 'Total Users',
+    cacheStatus: 'Cache Status',
+    lastUpdated: 'Last Updated',
+    cachedQueries: {
+      one: '{count} cached query',
+      other: '{count} cached queries',
+    },
+    statuses: {
+      fresh: 'Fresh',
+      updating: 'Updating...',
+      stale: 'Stale',
+      offline: 'Offline',
+    },
+  },
+  dates: {
+    weekOf: 'Week of {date}',
+    quarter: 'Q{quarter} {year}',
+    granularities: {
+      day: 'Daily',
+      week: 'Weekly',
+      month: 'Monthly',
+      quarter: 'Quarterly',
+      year: 'Yearly',
+    },
+    presets: {
+      '30d': 'Last 30 days',
+      '12w': 'Last 12 weeks',
+      '12m': 'Last 12 months',
+      ytd: 'Year to date',
+      '3y': 'Last 3 years',
+    },
+  },
+  sales: {
+    title: 'Sales Report',
+    subtitle: 'Revenue vs Expenses · {range}',
+    loading: 'Loading sales data...',
+    error: 'Failed to Load Sales Data',
+    zoomHint: 'Ctrl + scroll to zoom, drag to pan',
+    resetZoom: 'Reset zoom',
+    chartType: 'Chart type',
+    brushStart: 'Range start',
+    brushEnd: 'Range end',
+    sheet: 'Sales',
+    yoyChange: '({change} YoY)',
+    views: {
+      line: 'Line',
+      area: 'Area',
+      bar: 'Bar',
+      stacked: 'Stacked',
+      combo: 'Combo',
+    },
+    series: {
+      revenue: 'Revenue',
+      expenses: 'Expenses',
+      profit: 'Net Profit',
+      margin: 'Margin %',
+      prior: 'Revenue (prior year)',
+      forecast: 'Revenue forecast',
+    },
+    columns: {
+      periodStart: 'Period start',
+      period: 'Period',
+      revenue: 'Revenue',
+      expenses: 'Expenses',
+      profit: 'Net profit',
+      margin: 'Margin %',
+      prior: 'Revenue (prior year)',
+      change: 'YoY change %',
+    },
+    range: {
+      label: 'Date range',
+      custom: 'Custom range',
+      from: 'From date',
+      to: 'To date',
+      separator: 'to',
+      granularity: 'Granularity',
+      invalid: 'The start date must be before the end date.',
+    },
+  },
+  heatmap: {
+    title: 'Activity Heatmap',
+    subtitle: 'User engagement',
+    subtitleHourly: 'Engagement by weekday and hour',
+    loading: 'Loading activity data...',
+    error: 'Failed to Load Activity Data',
+    viewLabel: 'Heatmap view',
+    rangeLabel: 'Activity range',
+    weekStart: 'Week starts on',
+    scale: 'Scale',
+    colors: 'Colors',
+    legend: 'Activities per day:',
+    legendHourly: 'Activities per hour:',
+    // Hourly reports are bucketed by UTC hour.
+    timeZone: 'UTC',
+    sheet: 'Activity',
+    sheetHourly: 'Activity by hour',
+    gridLabel: 'Daily activity. Use the arrow keys to move between days and Enter to open one.',
+    canvasLabel: {
+      one: 'Daily activity for {count} day. Use the arrow keys to move between days and Enter to open one.',
+      other: 'Daily activity for {count} days. Use the arrow keys to move between days and Enter to open one.',
+    },
+    activities: {
+      one: '{count} activity',
+      other: '{count} activities',
+    },
+    band: '{range} band',
+    hourRange: '{weekday}, {from} – {to} UTC',
+    hourAverage: '{average} per {weekday} on average',
+    views: {
+      calendar: 'Calendar',
+      hourly: 'By hour',
+    },
+    ranges: {
+      '4w': 'Last 4 weeks',
+      '12w': 'Last 12 weeks',
+      '26w': 'Last 6 months',
+      '52w': 'Last year',
+      '104w': 'Last 2 years',
+      '260w': 'Last 5 years',
+    },
+    scales: {
+      linear: 'Linear',
+      log: 'Logarithmic',
+      quantile: 'Quantile',
+    },
+    palettes: {
+      green: 'Green',
+      blue: 'Blue',
+      viridis: 'Viridis (colorblind-safe)',
+      cividis: 'Cividis (colorblind-safe)',
+      magma: 'Magma (colorblind-safe)',
+    },
+    stats: {
+      total: 'Total Activities',
+      dailyAverage: 'Daily Average',
+      peak: 'Peak Activity',
+      peakHour: 'Peak Hour (UTC)',
+      busiestWeekday: 'Busiest Weekday',
+    },
+    columns: {
+      date: 'Date',
+      weekday: 'Weekday',
+      activity: 'Activity',
+      hour: 'Hour (UTC)',
+      average: 'Average per day',
+    },
+  },
+  activityDay: {
+    label: 'Activity on {date}',
+    loading: 'Loading activity...',
+    error: 'Failed to Load Activity',
+    empty: 'No activity on this day.',
+    close: 'Close day details',
+    byType: 'By type',
+    byUser: 'By user',
+    moreUsers: {
+      one: 'and {count} more user',
+      other: 'and {count} more users',
+    },
+    recent: 'Recent events',
+    showing: 'Showing the latest {shown} of {total} events.',
+    types: {
+      page_view: 'Page view',
+      login: 'Sign-in',
+      comment: 'Comment',
+      upload: 'File upload',
+      export: 'Report export',
+      settings: 'Settings change',
+    },
+  },
+  users: {
+    title: 'Users',
+    loading: 'Loading users...',
+    error: 'Failed to Load Users',
+    saving: 'Saving...',
+    sheet: 'Users',
+    searchPlaceholder: 'Search name, email or company',
+    searchLabel: 'Search users',
+    filterCompany: 'Filter by company',
+    filterCity: 'Filter by city',
+    sortLabel: 'Sort users',
+    sort: {
+      nameAsc: 'Name (A–Z)',
+      nameDesc: 'Name (Z–A)',
+    },
+    clear: 'Clear',
+    noMatches: 'No users match your filters',
+    empty: 'No users found',
+    showing: 'Showing {from}–{to} of {total}',
+    page: 'Page {page} of {count}',
+    previousPage: 'Previous page',
+    nextPage: 'Next page',
+    edit: 'Edit {name}',
+    delete: 'Delete {name}',
+    deleteTitle: 'Delete User',
+    deleteMessage: '{name} will be permanently removed. This cannot be undone.',
+    deleteConfirm: 'Delete',
+    added: '{name} was added',
+    updated: '{name} was updated',
+    deleted: '{name} was deleted',
+    addFailed: 'Could not add user: {message}',
+    updateFailed: 'Could not update user: {message}',
+    deleteFailed: 'Could not delete user: {message}',
+    columns: {
+      id: 'ID',
+      name: 'Name',
+      username: 'Username',
+      email: 'Email',
+      phone: 'Phone',
+      website: 'Website',
+      company: 'Company',
+      street: 'Street',
+      suite: 'Suite',
+      city: 'City',
+      zipcode: 'Zip code',
+    },
+  },
+  userForm: {
+    addTitle: 'Add User',
+    editTitle: 'Edit User',
+    save: 'Save Changes',
+    add: 'Add User',
+    fields: {
+      name: 'Full Name',
+      username: 'Username',
+      email: 'Email Address',
+      phone: 'Phone',
+      website: 'Website',
+      company: 'Company',
+      city: 'City',
+    },
+    errors: {
+      nameRequired: 'Name is required',
+      emailRequired: 'Email is required',
+      emailInvalid: 'Enter a valid email address',
+      emailTaken: 'Another user already has this email',
+      phoneInvalid: 'Enter a valid phone number',
+      websiteInvalid: 'Enter a domain such as example.com',
+    },
+  },
+  userDetail: {
+    back: 'Back to Users',
+    loading: 'Loading profile...',
+    error: 'Failed to Load Profile',
+    notFound: 'User not found',
+    phone: 'Phone',
+    website: 'Website',
+    address: 'Address',
+    company: 'Company',
+    posts: {
+      title: 'Posts',
+      loading: 'Loading posts...',
+      error: 'Failed to Load Posts',
+      empty: 'No posts yet',
+    },
+    todos: {
+      title: 'Todos',
+      loading: 'Loading todos...',
+      error: 'Failed to Load Todos',
+      empty: 'No todos yet',
+    },
+    albums: {
+      title: 'Albums',
+      loading: 'Loading albums...',
+      error: 'Failed to Load Albums',
+      empty: 'No albums yet',
+    },
+  },
+  topCompanies: {
+    title: 'Top companies',
+    empty: 'No companies yet',
+    users: {
+      one: '{count} user',
+      other: '{count} users',
+    },
+  },
+  report: {
+    title: 'Dashboard Report',
+    dialogTitle: 'Generate Report',
+    description: 'Captures the summary cards, sales chart and activity heatmap exactly as they are shown, including the selected date range and chart view.',
+    format: 'Format',
+    formats: {
+      pdf: {
+        label: 'PDF document',
+        description: 'A title page followed by one page per panel',
+      },
+      png: {
+        label: 'PNG images',
+        description: 'One image file per panel',
+      },
+    },
+    generate: 'Generate',
+    generating: 'Generating...',
+    downloaded: 'Report downloaded',
+    imagesDownloaded: {
+      one: '{count} image downloaded',
+      other: '{count} images downloaded',
+    },
+    failed: 'Could not generate the report: {message}',
+    generatedAt: 'Generated {date}',
+    generatedBy: 'Generated by {name}',
+    contents: 'Contents',
+    page: 'Page {page} of {count}',
+  },
+};
@@ -0,0 +1,418 @@
+export default {
+  common: {
+    cancel: 'Cancelar',
+    close: 'Cerrar',
+    dismiss: 'Descartar',
+    refresh: 'Actualizar',
+    tryAgain: 'Reintentar',
+    pleaseWait: 'Espera un momento',
+    loading: 'Cargando...',
+    error: 'Algo salió mal',
+    paused: 'Sin conexión. Se cargará cuando vuelvas a conectarte.',
+    never: 'Nunca',
+  },
+  errors: {
+    timeout: 'El servidor tardó demasiado en responder.',
+    network: 'Error de red: no se pudo conectar con el servidor.',
+    invalidToken: 'El servidor envió un token de sesión no válido.',
+  },
+  auth: {
+    title: 'Bienvenido de nuevo',
+    subtitle: 'Inicia sesión para acceder a tu panel',
+    email: 'Correo electrónico',
+    password: 'Contraseña',
+    signIn: 'Iniciar sesión',
+    signingIn: 'Iniciando sesión...',
+    loginFailed: 'No se pudo iniciar sesión',
+    demoAccounts: 'Cuentas de demostración:',
+    sessionExpired: 'Tu sesión ha caducado. Vuelve a iniciar sesión.',
+  },
+  header: {
+    title: 'Panel de usuarios',
+    welcome: 'Hola de nuevo, {name}',
+    defaultName: 'Usuario',
+    syncing: 'Sincronizando datos...',
+    logout: 'Cerrar sesión',
+    theme: 'Tema',
+    language: 'Idioma',
+    liveConnection: 'Conexión de actualizaciones en directo',
+  },
+  tabs: {
+    overview: 'Resumen',
+    sales: 'Ventas',
+    activity: 'Actividad',
+    users: 'Usuarios',
+  },
+  live: {
+    connecting: 'Conectando...',
+    live: 'En directo',
+    reconnecting: 'Reconectando...',
+    offline: 'Sin conexión',
+  },
+  offline: {
+    message: 'Sin conexión.',
+    cached: 'Sin conexión: se muestran datos en caché del {time}.',
+    queued: {
+      one: '{count} cambio se enviará cuando vuelvas a conectarte.',
+      other: '{count} cambios se enviarán cuando vuelvas a conectarte.',
+    },
+  },
+  idle: {
+    title: '¿Sigues ahí?',
+    message: {
+      one: 'Se cerrará tu sesión en {count} segundo por inactividad.',
+      other: 'Se cerrará tu sesión en {count} segundos por inactividad.',
+    },
+    signOut: 'Cerrar sesión',
+    stay: 'Seguir conectado',
+  },
+  theme: {
+    system: 'Sistema',
+    light: 'Claro',
+    dark: 'Oscuro',
+    contrast: 'Alto contraste',
+  },
+  workspace: {
+    title: 'Ajustes del espacio de trabajo',
+    currency: 'Moneda',
+    currencyHint: 'Las cifras de ventas se muestran en esta moneda para todo el espacio de trabajo. Los importes cambian de etiqueta, no se convierten.',
+    save: 'Guardar',
+    saving: 'Guardando...',
+    saved: 'Ajustes del espacio de trabajo guardados',
+    failed: 'No se pudieron guardar los ajustes: {message}',
+  },
+  overview: {
+    customize: 'Personalizar',
+    done: 'Listo',
+    reset: 'Restablecer',
+    hidden: 'Paneles ocultos:',
+    empty: 'Todos los paneles están ocultos. Elige Personalizar para volver a añadirlos.',
+    drag: 'Arrastra para mover',
+    width: 'Ancho de {title}',
+    moveEarlier: 'Mover {title} antes',
+    moveLater: 'Mover {title} después',
+    hide: 'Ocultar {title}',
+    sizes: {
+      half: 'Mitad',
+      twoThirds: 'Dos tercios',
+      full: 'Ancho completo',
+    },
+  },
+  access: {
+    title: 'Acceso restringido',
+    message: 'Tu rol no incluye acceso a esta sección. Pide acceso a un administrador si lo necesitas.',
+  },
+  export: {
+    button: 'Exportar',
+    failed: 'No se pudo exportar: {message}',
+    formats: {
+      csv: 'CSV (.csv)',
+      xlsx: 'Excel (.xlsx)',
+    },
+  },
+  stats: {
+    panel: 'Resumen',
+    totalUsers: 'Usuarios totales',
+    cacheStatus: 'Estado de la caché',
+    lastUpdated: 'Última actualización',
+    cachedQueries: {
+      one: '{count} consulta en caché',
+      other: '{count} consultas en caché',
+    },
+    statuses: {
+      fresh: 'Actualizada',
+      updating: 'Actualizando...',
+      stale: 'Desactualizada',
+      offline: 'Sin conexión',
+    },
+  },
+  dates: {
+    weekOf: 'Semana del {date}',
+    quarter: 'T{quarter} {year}',
+    granularities: {
+      day: 'Diario',
+      week: 'Semanal',
+      month: 'Mensual',
+      quarter: 'Trimestral',
+      year: 'Anual',
+    },
+    presets: {
+      '30d': 'Últimos 30 días',
+      '12w': 'Últimas 12 semanas',
+      '12m': 'Últimos 12 meses',
+      ytd: 'En lo que va de año',
+      '3y': 'Últimos 3 años',
+    },
+  },
+  sales: {
+    title: 'Informe de ventas',
+    subtitle: 'Ingresos frente a gastos · {range}',
+    loading: 'Cargando datos de ventas...',
+    error: 'No se pudieron cargar las ventas',
+    zoomHint: 'Ctrl + rueda para ampliar, arrastra para desplazar',
+    resetZoom: 'Restablecer zoom',
+    chartType: 'Tipo de gráfico',
+    brushStart: 'Inicio del intervalo',
+    brushEnd: 'Fin del intervalo',
+    sheet: 'Ventas',
+    yoyChange: '({change} interanual)',
+    views: {
+      line: 'Líneas',
+      area: 'Área',
+      bar: 'Barras',
+      stacked: 'Apiladas',
+      combo: 'Combinado',
+    },
+    series: {
+      revenue: 'Ingresos',
+      expenses: 'Gastos',
+      profit: 'Beneficio neto',
+      margin: 'Margen %',
+      prior: 'Ingresos (año anterior)',
+      forecast: 'Previsión de ingresos',
+    },
+    columns: {
+      periodStart: 'Inicio del periodo',
+      period: 'Periodo',
+      revenue: 'Ingresos',
+      expenses: 'Gastos',
+      profit: 'Beneficio neto',
+      margin: 'Margen %',
+      prior: 'Ingresos (año anterior)',
+      change: 'Variación interanual %',
+    },
+    range: {
+      label: 'Intervalo de fechas',
+      custom: 'Intervalo personalizado',
+      from: 'Fecha de inicio',
+      to: 'Fecha de fin',
+      separator: 'a',
+      granularity: 'Granularidad',
+      invalid: 'La fecha de inicio debe ser anterior a la de fin.',
+    },
+  },
+  heatmap: {
+    title: 'Mapa de actividad',
+    subtitle: 'Participación de los usuarios',
+    subtitleHourly: 'Participación por día de la semana y hora',
+    loading: 'Cargando datos de actividad...',
+    error: 'No se pudo cargar la actividad',
+    viewLabel: 'Vista del mapa',
+    rangeLabel: 'Intervalo de actividad',
+    weekStart: 'La semana empieza el',
+    scale: 'Escala',
+    colors: 'Colores',
+    legend: 'Actividades por día:',
+    legendHourly: 'Actividades por hora:',
+    timeZone: 'UTC',
+    sheet: 'Actividad',
+    sheetHourly: 'Actividad por hora',
+    gridLabel: 'Actividad diaria. Usa las flechas para moverte entre días e Intro para abrir uno.',
+    canvasLabel: {
+      one: 'Actividad diaria de {count} día. Usa las flechas para moverte entre días e Intro para abrir uno.',
+      other: 'Actividad diaria de {count} días. Usa las flechas para moverte entre días e Intro para abrir uno.',
+    },
+    activities: {
+      one: '{count} actividad',
+      other: '{count} actividades',
+    },
+    band: 'franja {range}',
+    hourRange: '{weekday}, {from} – {to} UTC',
+    hourAverage: '{average} de media cada {weekday}',
+    views: {
+      calendar: 'Calendario',
+      hourly: 'Por hora',
+    },
+    ranges: {
+      '4w': 'Últimas 4 semanas',
+      '12w': 'Últimas 12 semanas',
+      '26w': 'Últimos 6 meses',
+      '52w': 'Último año',
+      '104w': 'Últimos 2 años',
+      '260w': 'Últimos 5 años',
+    },
+    scales: {
+      linear: 'Lineal',
+      log: 'Logarítmica',
+      quantile: 'Cuantiles',
+    },
+    palettes: {
+      green: 'Verde',
+      blue: 'Azul',
+      viridis: 'Viridis (apta para daltónicos)',
+      cividis: 'Cividis (apta para daltónicos)',
+      magma: 'Magma (apta para daltónicos)',
+    },
+    stats: {
+      total: 'Actividades totales',
+      dailyAverage: 'Media diaria',
+      peak: 'Pico de actividad',
+      peakHour: 'Hora punta (UTC)',
+      busiestWeekday: 'Día con más actividad',
+    },
+    columns: {
+      date: 'Fecha',
+      weekday: 'Día de la semana',
+      activity: 'Actividad',
+      hour: 'Hora (UTC)',
+      average: 'Media por día',
+    },
+  },
+  activityDay: {
+    label: 'Actividad del {date}',
+    loading: 'Cargando actividad...',
+    error: 'No se pudo cargar la actividad',
+    empty: 'No hubo actividad este día.',
+    close: 'Cerrar detalles del día',
+    byType: 'Por tipo',
+    byUser: 'Por usuario',
+    moreUsers: {
+      one: 'y {count} usuario más',
+      other: 'y {count} usuarios más',
+    },
+    recent: 'Eventos recientes',
+    showing: 'Se muestran los últimos {shown} de {total} eventos.',
+    types: {
+      page_view: 'Vista de página',
+      login: 'Inicio de sesión',
+      comment: 'Comentario',
+      upload: 'Subida de archivo',
+      export: 'Exportación de informe',
+      settings: 'Cambio de ajustes',
+    },
+  },
+  users: {
+    title: 'Usuarios',
+    loading: 'Cargando usuarios...',
+    error: 'No se pudieron cargar los usuarios',
+    saving: 'Guardando...',
+    sheet: 'Usuarios',
+    searchPlaceholder: 'Buscar por nombre, correo o empresa',
+    searchLabel: 'Buscar usuarios',
+    filterCompany: 'Filtrar por empresa',
+    filterCity: 'Filtrar por ciudad',
+    sortLabel: 'Ordenar usuarios',
+    sort: {
+      nameAsc: 'Nombre (A–Z)',
+      nameDesc: 'Nombre (Z–A)',
+    },
+    clear: 'Limpiar',
+    noMatches: 'Ningún usuario coincide con los filtros',
+    empty: 'No se encontraron usuarios',
+    showing: 'Mostrando {from}–{to} de {total}',
+    page: 'Página {page} de {count}',
+    previousPage: 'Página anterior',
+    nextPage: 'Página siguiente',
+    edit: 'Editar a {name}',
+    delete: 'Eliminar a {name}',
+    deleteTitle: 'Eliminar usuario',
+    deleteMessage: '{name} se eliminará de forma permanente. Esta acción no se puede deshacer.',
+    deleteConfirm: 'Eliminar',
+    added: 'Se ha añadido a {name}',
+    updated: 'Se ha actualizado a {name}',
+    deleted: 'Se ha eliminado a {name}',
+    addFailed: 'No se pudo añadir el usuario: {message}',
+    updateFailed: 'No se pudo actualizar el usuario: {message}',
+    deleteFailed: 'No se pudo eliminar el usuario: {message}',
+    columns: {
+      id: 'ID',
+      name: 'Nombre',
+      username: 'Usuario',
+      email: 'Correo',
+      phone: 'Teléfono',
+      website: 'Sitio web',
+      company: 'Empresa',
+      street: 'Calle',
+      suite: 'Piso',
+      city: 'Ciudad',
+      zipcode: 'Código postal',
+    },
+  },
+  userForm: {
+    addTitle: 'Añadir usuario',
+    editTitle: 'Editar usuario',
+    save: 'Guardar cambios',
+    add: 'Añadir usuario',
+    fields: {
+      name: 'Nombre completo',
+      username: 'Nombre de usuario',
+      email: 'Correo electrónico',
+      phone: 'Teléfono',
+      website: 'Sitio web',
+      company: 'Empresa',
+      city: 'Ciudad',
+    },
+    errors: {
+      nameRequired: 'El nombre es obligatorio',
+      emailRequired: 'El correo es obligatorio',
+      emailInvalid: 'Introduce un correo válido',
+      emailTaken: 'Otro usuario ya tiene este correo',
+      phoneInvalid: 'Introduce un teléfono válido',
+      websiteInvalid: 'Introduce un dominio como example.com',
+    },
+  },
+  userDetail: {
+    back: 'Volver a usuarios',
+    loading: 'Cargando perfil...',
+    error: 'No se pudo cargar el perfil',
+    notFound: 'Usuario no encontrado',
+    phone: 'Teléfono',
+    website: 'Sitio web',
+    address: 'Dirección',
+    company: 'Empresa',
+    posts: {
+      title: 'Publicaciones',
+      loading: 'Cargando publicaciones...',
+      error: 'No se pudieron cargar las publicaciones',
+      empty: 'Todavía no hay publicaciones',
+    },
+    todos: {
+      title: 'Tareas',
+      loading: 'Cargando tareas...',
+      error: 'No se pudieron cargar las tareas',
+      empty: 'Todavía no hay tareas',
+    },
+    albums: {
+      title: 'Álbumes',
+      loading: 'Cargando álbumes...',
+      error: 'No se pudieron cargar los álbumes',
+      empty: 'Todavía no hay álbumes',
+    },
+  },
+  topCompanies: {
+    title: 'Empresas principales',
+    empty: 'Todavía no hay empresas',
+    users: {
+      one: '{count} usuario',
+      other: '{count} usuarios',
+    },
+  },
+  report: {
+    title: 'Informe del panel',
+    dialogTitle: 'Generar informe',
+    description: 'Captura las tarjetas de resumen, el gráfico de ventas y el mapa de actividad tal como se muestran, con el intervalo de fechas y la vista seleccionados.',
+    format: 'Formato',
+    formats: {
+      pdf: {
+        label: 'Documento PDF',
+        description: 'Una portada seguida de una página por panel',
+      },
+      png: {
+        label: 'Imágenes PNG',
+        description: 'Un archivo de imagen por panel',
+      },
+    },
+    generate: 'Generar',
+    generating: 'Generando...',
+    downloaded: 'Informe descargado',
+    imagesDownloaded: {
+      one: '{count} imagen descargada',
+      other: '{count} imágenes descargadas',
+    },
+    failed: 'No se pudo generar el informe: {message}',
+    generatedAt: 'Generado el {date}',
+    generatedBy: 'Generado por {name}',
+    contents: 'Contenido',
+    page: 'Página {page} de {count}',
+  },
+};
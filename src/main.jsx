@@ -2,6 +2,14 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import './plugins/index.js'
+import { applyTheme, readThemePreference, resolveTheme } from './theme.js'
+import { applyLocale, readLocalePreference } from './i18n.js'
+
+// Before the first render, so nothing flashes in the wrong theme or
+// direction.
+applyTheme(resolveTheme(readThemePreference()))
+applyLocale(readLocalePreference())
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
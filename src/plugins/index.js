@@ -0,0 +1,4 @@
+// Plugins register their widgets (see widgets.js) when imported. They are
+// loaded after the built-in panels, so they come after them on tabs and the
+// default Overview.
+import './topCompanies.jsx';
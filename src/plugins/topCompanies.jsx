@@ -0,0 +1,57 @@
+import { useQuery } from '@tanstack/react-query';
+import { Building2 } from 'lucide-react';
+import { registerWidget } from '../widgets.js';
+
+const TOP_COMPANY_COUNT = 5;
+
+function countByCompany(users) {
+  const counts = new Map();
+  users.forEach(user => {
+    const name = user.company?.name;
+    if (name) counts.set(name, (counts.get(name) ?? 0) + 1);
+  });
+  return [...counts]
+    .map(([name, count]) => ({ name, count }))
+    .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name))
+    .slice(0, TOP_COMPANY_COUNT);
+}
+
+// Shares the cached user list with the Users tab, so live updates reach
+// it too.
+function useTopCompanies({ dataSource, token, user }) {
+  return useQuery({
+    queryKey: ['users', user?.id],
+    queryFn: ({ signal }) => dataSource.getUsers({ token, signal }),
+    select: countByCompany,
+    enabled: !!token,
+  });
+}
+
+export function TopCompanies({ data, context: { t } }) {
+  if (!data.length) return <div className="users-empty">{t('topCompanies.empty')}</div>;
+  const max = data[0].count;
+
+  return (
+    <ol className="top-companies">
+      {data.map(company => (
+        <li key={company.name} className="top-companies-item">
+          <span className="top-companies-name">{company.name}</span>
+          <span className="top-companies-bar">
+            <span className="top-companies-fill" style={{ width: `${(company.count / max) * 100}%` }} />
+          </span>
+          <span className="top-companies-count">{t('topCompanies.users', { count: company.count })}</span>
+        </li>
+      ))}
+    </ol>
+  );
+}
+
+registerWidget({
+  id: 'top-companies',
+  title: 'topCompanies.title',
+  icon: Building2,
+  permission: 'users:read',
+  sizes: ['half', 'twoThirds', 'full'],
+  useData: useTopCompanies,
+  render: TopCompanies,
+});
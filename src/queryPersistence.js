@@ -0,0 +1,67 @@
+// Persists the React Query cache to IndexedDB so a reload (or a lost
+// connection) starts from the last data seen instead of spinners.
+
+// Bump whenever the shape of a cached response changes; caches written
+// under another version are dropped on restore instead of being rendered.
+export const QUERY_CACHE_VERSION = '1';
+
+// Restored data older than this is discarded. Queries must be kept at
+// least this long (gcTime) or they would be collected before being saved.
+export const QUERY_CACHE_MAX_AGE = 24 * 60 * 60 * 1000;
+
+const DB_NAME = 'dashboard';
+const STORE_NAME = 'queryCache';
+const CLIENT_KEY = 'client';
+// The cache changes on every fetch; writes are batched to one per interval.
+const WRITE_INTERVAL = 1000;
+
+let databasePromise = null;
+
+function openDatabase() {
+  databasePromise ??= new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, 1);
+    request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+  return databasePromise;
+}
+
+async function withStore(mode, callback) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const request = callback(transaction.objectStore(STORE_NAME));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+// A Persister for @tanstack/react-query-persist-client. Failing to write
+// (private browsing, quota) only costs the offline copy, so it is ignored.
+export function createIndexedDBPersister() {
+  let pending = null;
+  let timer = null;
+
+  const flush = () => {
+    timer = null;
+    const client = pending;
+    pending = null;
+    withStore('readwrite', store => store.put(client, CLIENT_KEY)).catch(() => {});
+  };
+
+  return {
+    persistClient: (client) => {
+      pending = client;
+      timer ??= setTimeout(flush, WRITE_INTERVAL);
+    },
+    restoreClient: () => withStore('readonly', store => store.get(CLIENT_KEY)),
+    removeClient: () => {
+      clearTimeout(timer);
+      timer = null;
+      pending = null;
+      return withStore('readwrite', store => store.delete(CLIENT_KEY)).catch(() => {});
+    },
+  };
+}
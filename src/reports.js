@@ -0,0 +1,209 @@
+import { saveBlob } from './exporters.js';
+import { localeDirection, translate } from './i18n.js';
+
+// Panels opt into reports with data attributes on their root element:
+//   data-report-panel="Sales Report"   title, also used for file names
+//   data-report-range="Jan 1 – Mar 31" optional description of the period
+// Anything marked data-report-exclude (buttons, menus, ...) is left out of
+// the captured image.
+
+const PAGE_MARGIN = 40;
+const CAPTURE_PIXEL_RATIO = 2;
+// Canvas pixels per PDF point for text, enough to stay sharp in print.
+const TEXT_PIXEL_RATIO = 4;
+const LINE_HEIGHT = 1.3;
+const TEXT_COLORS = {
+  strong: [17, 24, 39],
+  normal: [75, 85, 99],
+  muted: [107, 114, 128],
+  faint: [156, 163, 175],
+};
+
+export function collectReportPanels(container) {
+  return [...container.querySelectorAll('[data-report-panel]')].map(element => ({
+    element,
+    title: element.dataset.reportPanel,
+    range: element.dataset.reportRange || '',
+  }));
+}
+
+function slugify(text) {
+  return text.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-|-$/g, '');
+}
+
+async function capturePanel(element) {
+  const { toCanvas } = await import('html-to-image');
+  return toCanvas(element, {
+    pixelRatio: CAPTURE_PIXEL_RATIO,
+    // The page background, so captures match the active theme.
+    backgroundColor: getComputedStyle(document.body).backgroundColor,
+    filter: node => !node.dataset?.reportExclude,
+  });
+}
+
+function canvasToBlob(canvas) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not encode the image'))), 'image/png');
+  });
+}
+
+// One PNG per panel, named after the panel and the generation date.
+export async function downloadPanelImages(panels, { generatedAt }) {
+  const date = generatedAt.toISOString().slice(0, 10);
+  for (const panel of panels) {
+    const blob = await canvasToBlob(await capturePanel(panel.element));
+    saveBlob(blob, `${slugify(panel.title)}-${date}.png`);
+  }
+}
+
+function wrapLines(context, text, maxWidth) {
+  if (!maxWidth) return [text];
+  const lines = [];
+  let line = '';
+  for (const word of text.split(' ')) {
+    const candidate = line ? `${line} ${word}` : word;
+    if (line && context.measureText(candidate).width > maxWidth) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = candidate;
+    }
+  }
+  lines.push(line);
+  return lines;
+}
+
+// jsPDF's built-in fonts only cover Latin scripts and do no shaping or
+// bidi reordering, so text is drawn by the browser onto a canvas (in the
+// page's own font, which handles Arabic and everything else it can show)
+// and placed as an image. `y` is the first line's baseline, as with
+// doc.text; text wider than `maxWidth` wraps onto further lines. Returns
+// the size of the drawn block in points.
+function drawText(doc, text, x, y, { size, bold = false, color = 'strong', align = 'left', dir = 'ltr', maxWidth }) {
+  const canvas = document.createElement('canvas');
+  const context = canvas.getContext('2d');
+  const font = `${bold ? 'bold ' : ''}${size * TEXT_PIXEL_RATIO}px ${getComputedStyle(document.body).fontFamily}`;
+  context.font = font;
+  const lines = wrapLines(context, text, maxWidth && maxWidth * TEXT_PIXEL_RATIO);
+  const lineHeight = size * LINE_HEIGHT * TEXT_PIXEL_RATIO;
+  canvas.width = Math.ceil(Math.max(...lines.map(line => context.measureText(line).width))) || 1;
+  canvas.height = Math.ceil(lineHeight * lines.length);
+  // Resizing the canvas resets its state.
+  context.font = font;
+  context.direction = dir;
+  context.textAlign = dir === 'rtl' ? 'right' : 'left';
+  context.fillStyle = `rgb(${TEXT_COLORS[color].join(', ')})`;
+  lines.forEach((line, i) => context.fillText(line, dir === 'rtl' ? canvas.width : 0, size * TEXT_PIXEL_RATIO + i * lineHeight));
+
+  const width = canvas.width / TEXT_PIXEL_RATIO;
+  const height = canvas.height / TEXT_PIXEL_RATIO;
+  doc.addImage(canvas, 'PNG', align === 'right' ? x - width : x, y - size, width, height);
+  return { width, height };
+}
+
+// Positions are given from the start edge of the page, which is the right
+// one in right-to-left locales.
+function pageLayout(doc, locale) {
+  const width = doc.internal.pageSize.getWidth();
+  const dir = localeDirection(locale);
+  const rtl = dir === 'rtl';
+  return {
+    dir,
+    start: (offset = 0) => (rtl ? width - PAGE_MARGIN - offset : PAGE_MARGIN + offset),
+    end: rtl ? PAGE_MARGIN : width - PAGE_MARGIN,
+    startAlign: rtl ? 'right' : 'left',
+    endAlign: rtl ? 'left' : 'right',
+  };
+}
+
+// Extra space taken by lines a wrapped block adds below its first.
+const wrappedExtra = ({ height }, size) => height - size * LINE_HEIGHT;
+
+function drawTitlePage(doc, panels, { title, generatedAt, generatedBy, locale }) {
+  const width = doc.internal.pageSize.getWidth();
+  const maxWidth = width - PAGE_MARGIN * 2;
+  const { dir, start, startAlign } = pageLayout(doc, locale);
+  const text = (value, y, { offset = 0, ...options }) => (
+    drawText(doc, value, start(offset), y, { align: startAlign, dir, maxWidth: maxWidth - offset, ...options })
+  );
+  let y = 160;
+
+  y += wrappedExtra(text(title, y, { size: 26, bold: true }), 26);
+
+  y += 36;
+  text(translate(locale, 'report.generatedAt', { date: generatedAt.toLocaleString(locale) }), y, { size: 12, color: 'normal' });
+  y += 18;
+  text(translate(locale, 'report.generatedBy', { name: generatedBy }), y, { size: 12, color: 'normal' });
+
+  y += 30;
+  doc.setDrawColor(229, 231, 235);
+  doc.line(PAGE_MARGIN, y, width - PAGE_MARGIN, y);
+
+  y += 30;
+  text(translate(locale, 'report.contents'), y, { size: 12, bold: true });
+  // Each entry's range goes on the line below its title, however long the
+  // title turns out to be.
+  panels.forEach((panel, i) => {
+    y += 22;
+    y += wrappedExtra(text(`${i + 2}. ${panel.title}`, y, { size: 12 }), 12);
+    if (panel.range) {
+      y += 15;
+      text(panel.range, y, { size: 10, color: 'muted', offset: 16 });
+    }
+  });
+}
+
+function drawPanelPage(doc, panel, canvas, locale) {
+  const width = doc.internal.pageSize.getWidth();
+  const height = doc.internal.pageSize.getHeight();
+  const { dir, start, startAlign } = pageLayout(doc, locale);
+  const maxWidth = width - PAGE_MARGIN * 2;
+
+  let y = PAGE_MARGIN + 12;
+  y += wrappedExtra(drawText(doc, panel.title, start(), y, { size: 16, bold: true, align: startAlign, dir, maxWidth }), 16);
+  if (panel.range) {
+    y += 18;
+    drawText(doc, panel.range, start(), y, { size: 11, color: 'muted', align: startAlign, dir, maxWidth });
+  }
+
+  // Scale the capture to the page width, or shrink it further if that
+  // would run past the footer.
+  const top = y + 18;
+  const maxHeight = height - top - PAGE_MARGIN - 20;
+  const scale = Math.min(maxWidth / canvas.width, maxHeight / canvas.height);
+  const imageWidth = canvas.width * scale;
+  const left = dir === 'rtl' ? width - PAGE_MARGIN - imageWidth : PAGE_MARGIN;
+  doc.addImage(canvas, 'PNG', left, top, imageWidth, canvas.height * scale);
+}
+
+function drawFooters(doc, { generatedAt, generatedBy, locale }) {
+  const height = doc.internal.pageSize.getHeight();
+  const pageCount = doc.getNumberOfPages();
+  const { dir, start, end, startAlign, endAlign } = pageLayout(doc, locale);
+  const y = height - PAGE_MARGIN / 2;
+
+  for (let page = 1; page <= pageCount; page++) {
+    doc.setPage(page);
+    drawText(doc, `${generatedBy} · ${generatedAt.toLocaleString(locale)}`, start(), y, { size: 9, color: 'faint', align: startAlign, dir });
+    drawText(doc, translate(locale, 'report.page', { page, count: pageCount }), end, y, { size: 9, color: 'faint', align: endAlign, dir });
+  }
+}
+
+// A title page followed by one landscape page per panel. Built entirely in
+// the browser; jsPDF and html-to-image are loaded on first use. Text is
+// written in `locale`.
+export async function downloadPdfReport(panels, { title, generatedAt, generatedBy, locale }) {
+  const { jsPDF } = await import('jspdf');
+  const doc = new jsPDF({ orientation: 'landscape', unit: 'pt', format: 'a4' });
+  const meta = { title, generatedAt, generatedBy, locale };
+
+  drawTitlePage(doc, panels, meta);
+  for (const panel of panels) {
+    const canvas = await capturePanel(panel.element);
+    doc.addPage();
+    drawPanelPage(doc, panel, canvas, locale);
+  }
+  drawFooters(doc, meta);
+
+  saveBlob(doc.output('blob'), `${slugify(title)}-${generatedAt.toISOString().slice(0, 10)}.pdf`);
+}
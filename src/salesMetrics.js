@@ -0,0 +1,50 @@
+import { addPeriods } from './dates.js';
+
+// Series derived from the raw revenue/expenses figures in a sales report.
+
+export function netProfit(revenue, expenses) {
+  return revenue.map((value, i) => value - expenses[i]);
+}
+
+export function profitMargin(revenue, expenses) {
+  return revenue.map((value, i) => (value ? ((value - expenses[i]) / value) * 100 : null));
+}
+
+export function percentChange(current, previous) {
+  if (current == null || !previous) return null;
+  return ((current - previous) / previous) * 100;
+}
+
+// Revenue from `prior` (the same report a year earlier) for each of
+// `periods`: the prior bucket holding the date one year before the period
+// starts, or null where the prior report has none. Matching by date rather
+// than position keeps values on their period when the two ranges split into
+// a different number of buckets (a leap day, weeks falling differently).
+// Weeks step back 52 weeks instead, so they land on the same weekday.
+export function alignPriorRevenue(periods, prior) {
+  return periods.map(period => {
+    const target = prior.granularity === 'week' ? addPeriods(period, 'week', -52) : addPeriods(period, 'year', -1);
+    const index = prior.periods.findLastIndex(start => start <= target);
+    return index === -1 || target > prior.to ? null : prior.revenue[index];
+  });
+}
+
+// Extends an ordinary least-squares trend line `steps` points past the end
+// of the series. Deliberately simple: it is a visual guide, not a model.
+export function linearForecast(values, steps) {
+  const n = values.length;
+  if (n < 2) return [];
+
+  const meanX = (n - 1) / 2;
+  const meanY = values.reduce((sum, value) => sum + value, 0) / n;
+  let covariance = 0;
+  let variance = 0;
+  values.forEach((value, x) => {
+    covariance += (x - meanX) * (value - meanY);
+    variance += (x - meanX) ** 2;
+  });
+  const slope = covariance / variance;
+  const intercept = meanY - slope * meanX;
+
+  return Array.from({ length: steps }, (_, i) => Math.max(Math.round(intercept + slope * (n + i)), 0));
+}
@@ -0,0 +1,52 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { alignPriorRevenue, linearForecast, netProfit, percentChange, profitMargin } from './salesMetrics.js';
+
+test('profitMargin is a percentage of revenue, empty without revenue', () => {
+  assert.deepEqual(netProfit([200, 100], [150, 120]), [50, -20]);
+  assert.deepEqual(profitMargin([0, 200, 100], [50, 150, 120]), [null, 25, -20]);
+});
+
+test('percentChange has no value without a previous figure', () => {
+  assert.equal(percentChange(110, 100), 10);
+  assert.equal(percentChange(5, 0), null);
+  assert.equal(percentChange(null, 3), null);
+});
+
+test('linearForecast extends the trend line', () => {
+  assert.deepEqual(linearForecast([10, 20, 30], 2), [40, 50]);
+});
+
+test('linearForecast needs at least two points', () => {
+  assert.deepEqual(linearForecast([], 2), []);
+  assert.deepEqual(linearForecast([5], 3), []);
+});
+
+test('linearForecast never goes below zero', () => {
+  assert.deepEqual(linearForecast([30, 20, 10], 3), [0, 0, 0]);
+});
+
+test('alignPriorRevenue skips the leap day in a daily prior year', () => {
+  const prior = {
+    granularity: 'day',
+    to: '2024-03-01',
+    periods: ['2024-02-28', '2024-02-29', '2024-03-01'],
+    revenue: [28, 29, 1],
+  };
+  assert.deepEqual(alignPriorRevenue(['2025-02-28', '2025-03-01'], prior), [28, 1]);
+});
+
+test('alignPriorRevenue matches weeks 52 weeks back', () => {
+  const prior = {
+    granularity: 'week',
+    to: '2024-03-05',
+    periods: ['2024-02-20', '2024-02-26', '2024-03-04'],
+    revenue: [10, 20, 30],
+  };
+  assert.deepEqual(alignPriorRevenue(['2025-02-20', '2025-02-24', '2025-03-03'], prior), [10, 20, 30]);
+});
+
+test('alignPriorRevenue leaves periods outside the prior range empty', () => {
+  const prior = { granularity: 'month', to: '2024-04-30', periods: ['2024-03-01', '2024-04-01'], revenue: [3, 4] };
+  assert.deepEqual(alignPriorRevenue(['2025-02-01', '2025-03-01', '2025-04-01', '2025-05-01'], prior), [null, 3, 4, null]);
+});
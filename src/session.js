@@ -0,0 +1,85 @@
+import { ApiError, fetchJson } from './api.js';
+import { AUTH_URL } from './config.js';
+
+// The signed-in session ({ accessToken, refreshToken, user, expiresAt }) is
+// kept in localStorage so reloads and other tabs share it. Only the refresh
+// endpoint decides when it is over: anything short of a 401 from it (being
+// offline, a timeout, a server error) leaves the session in place.
+
+export const SESSION_STORAGE_KEY = 'dashboard.session';
+
+function decodeToken(token) {
+  try {
+    const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+    return JSON.parse(atob(payload));
+  } catch {
+    return null;
+  }
+}
+
+function postAuth(path, body) {
+  return fetchJson(`${AUTH_URL}${path}`, null, { method: 'POST', body });
+}
+
+function toSession({ accessToken, refreshToken, user }) {
+  const claims = decodeToken(accessToken);
+  if (!claims?.exp) throw new ApiError('Received an invalid access token', { code: 'INVALID_TOKEN' });
+  return { accessToken, refreshToken, user, expiresAt: claims.exp * 1000 };
+}
+
+export function readStoredSession() {
+  try {
+    const session = JSON.parse(localStorage.getItem(SESSION_STORAGE_KEY));
+    if (!session?.refreshToken) return null;
+    // An expired access token would only earn a 401 (and a logout); hold
+    // requests back until the refresh effect has fetched a new one.
+    return session.expiresAt > Date.now() ? session : { ...session, accessToken: null };
+  } catch {
+    return null;
+  }
+}
+
+export function writeStoredSession(session) {
+  if (session && !session.accessToken) return;
+  const raw = session ? JSON.stringify(session) : null;
+  if (localStorage.getItem(SESSION_STORAGE_KEY) === raw) return;
+  if (raw) localStorage.setItem(SESSION_STORAGE_KEY, raw);
+  else localStorage.removeItem(SESSION_STORAGE_KEY);
+}
+
+export async function signIn(email, password) {
+  return toSession(await postAuth('/login', { email, password }));
+}
+
+export function signOut(session) {
+  return postAuth('/logout', { refreshToken: session.refreshToken });
+}
+
+// Only one tab at a time may rotate the refresh token; the others pick up
+// the new session from storage once the lock is released.
+function withRefreshLock(callback) {
+  return globalThis.navigator?.locks ? navigator.locks.request('dashboard-token-refresh', callback) : callback();
+}
+
+let pendingRefresh = null;
+
+// Rotates the refresh token, or picks up the session another tab already
+// rotated it into. Callers that ask at the same time (several requests
+// hitting a 401 together) share one round trip.
+export function refreshSession(session) {
+  pendingRefresh ??= withRefreshLock(async () => {
+    const stored = readStoredSession();
+    if (stored?.refreshToken !== session.refreshToken) return stored;
+    const next = toSession(await postAuth('/refresh', { refreshToken: session.refreshToken }));
+    writeStoredSession(next);
+    return next;
+  }).finally(() => {
+    pendingRefresh = null;
+  });
+  return pendingRefresh;
+}
+
+// Whether a failed refreshSession means the user has to sign in again.
+export function isSessionRejected(error) {
+  return error instanceof ApiError && error.status === 401;
+}
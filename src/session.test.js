@@ -0,0 +1,82 @@
+import assert from 'node:assert/strict';
+import { beforeEach, test } from 'node:test';
+import { SESSION_STORAGE_KEY, isSessionRejected, readStoredSession, refreshSession } from './session.js';
+
+const HOUR = 60 * 60 * 1000;
+
+function fakeToken(expiresAt) {
+  const payload = btoa(JSON.stringify({ exp: Math.floor(expiresAt / 1000) }));
+  return `header.${payload}.signature`;
+}
+
+function storeSession(expiresAt) {
+  const session = { accessToken: fakeToken(expiresAt), refreshToken: 'refresh-1', user: { id: 1, name: 'Ada' }, expiresAt };
+  localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(session));
+  return session;
+}
+
+function respondWith(status, body) {
+  globalThis.fetch = async () => new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+}
+
+beforeEach(() => {
+  const items = new Map();
+  globalThis.localStorage = {
+    getItem: (key) => items.get(key) ?? null,
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key),
+  };
+});
+
+// Signing out is what wipes the persisted query cache, so the dashboard
+// survives as long as the session does.
+test('reload while offline keeps the cached dashboard', async () => {
+  const stored = storeSession(Date.now() - HOUR);
+  globalThis.fetch = async () => {
+    throw new TypeError('Failed to fetch');
+  };
+
+  const session = readStoredSession();
+  assert.equal(session.accessToken, null);
+  assert.deepEqual(session.user, stored.user);
+
+  await assert.rejects(refreshSession(session), (err) => {
+    assert.equal(err.code, 'NETWORK_ERROR');
+    assert.equal(isSessionRejected(err), false);
+    return true;
+  });
+  assert.deepEqual(JSON.parse(localStorage.getItem(SESSION_STORAGE_KEY)), stored);
+});
+
+test('a server error while refreshing keeps the session', async () => {
+  storeSession(Date.now() - HOUR);
+  respondWith(503, { message: 'Service unavailable' });
+
+  await assert.rejects(refreshSession(readStoredSession()), (err) => !isSessionRejected(err));
+  assert.notEqual(readStoredSession(), null);
+});
+
+test('a rejected refresh token ends the session', async () => {
+  storeSession(Date.now() - HOUR);
+  respondWith(401, { message: 'Session expired, please sign in again' });
+
+  await assert.rejects(refreshSession(readStoredSession()), (err) => isSessionRejected(err));
+});
+
+test('a successful refresh stores the rotated session', async () => {
+  storeSession(Date.now() - HOUR);
+  const expiresAt = Date.now() + HOUR;
+  respondWith(200, { accessToken: fakeToken(expiresAt), refreshToken: 'refresh-2', user: { id: 1, name: 'Ada' } });
+
+  const next = await refreshSession(readStoredSession());
+  assert.equal(next.refreshToken, 'refresh-2');
+  assert.equal(readStoredSession().refreshToken, 'refresh-2');
+});
+
+test('a session another tab already rotated is picked up without a request', async () => {
+  storeSession(Date.now() + HOUR);
+  globalThis.fetch = async () => assert.fail('refresh should not be requested');
+
+  const next = await refreshSession({ refreshToken: 'refresh-0' });
+  assert.equal(next.refreshToken, 'refresh-1');
+});
@@ -0,0 +1,74 @@
+// Themes are sets of CSS variables (see the top of index.css) selected with
+// data-theme on <html>. The preference is stored per browser rather than
+// per user so the login page is already in the right theme.
+
+export const THEME_PREFERENCES = [
+  { id: 'system', labelKey: 'theme.system' },
+  { id: 'light', labelKey: 'theme.light' },
+  { id: 'dark', labelKey: 'theme.dark' },
+  { id: 'contrast', labelKey: 'theme.contrast' },
+];
+
+const STORAGE_KEY = 'dashboard.theme';
+const darkQuery = window.matchMedia('(prefers-color-scheme: dark)');
+const contrastQuery = window.matchMedia('(prefers-contrast: more)');
+
+export function readThemePreference() {
+  const stored = localStorage.getItem(STORAGE_KEY);
+  return THEME_PREFERENCES.some(option => option.id === stored) ? stored : 'system';
+}
+
+export function writeThemePreference(preference) {
+  localStorage.setItem(STORAGE_KEY, preference);
+}
+
+// 'system' asks the OS: an increased-contrast setting wins over dark mode.
+export function resolveTheme(preference) {
+  if (preference !== 'system') return preference;
+  if (contrastQuery.matches) return 'contrast';
+  return darkQuery.matches ? 'dark' : 'light';
+}
+
+export function applyTheme(theme) {
+  document.documentElement.dataset.theme = theme;
+}
+
+export function onSystemThemeChange(callback) {
+  darkQuery.addEventListener('change', callback);
+  contrastQuery.addEventListener('change', callback);
+  return () => {
+    darkQuery.removeEventListener('change', callback);
+    contrastQuery.removeEventListener('change', callback);
+  };
+}
+
+// Variables needed outside CSS (Chart.js, the heatmap canvas), as RGB
+// channel strings for `rgb(${color})` or `rgb(${color} / 0.1)`.
+const SCRIPT_TOKENS = {
+  surface: '--color-surface',
+  fg: '--color-fg',
+  fgSubtle: '--color-fg-subtle',
+  focus: '--color-focus',
+  tooltip: '--color-tooltip',
+  chartRevenue: '--chart-revenue',
+  chartExpenses: '--chart-expenses',
+  chartProfit: '--chart-profit',
+  chartMargin: '--chart-margin',
+  chartPrior: '--chart-prior',
+  chartGrid: '--chart-grid',
+  chartText: '--chart-text',
+  heatmapEmpty: '--heatmap-empty',
+};
+
+// The applied theme, its color scheme ('light' or 'dark') and its colors.
+export function readActiveTheme() {
+  const style = getComputedStyle(document.documentElement);
+  const colors = Object.fromEntries(
+    Object.entries(SCRIPT_TOKENS).map(([name, variable]) => [name, style.getPropertyValue(variable).trim()])
+  );
+  return {
+    theme: document.documentElement.dataset.theme,
+    scheme: style.colorScheme === 'dark' ? 'dark' : 'light',
+    colors,
+  };
+}
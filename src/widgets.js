@@ -0,0 +1,96 @@
+// Dashboard panels are registered here; the tabs, their routes and the
+// Overview are built from the registry. A widget is a plain object:
+//   id          unique, and the path of its tab if it has one
+//   title       message key of its title (text no catalog has is shown
+//               as is)
+//   icon        a lucide-react icon, shown on its card and tab
+//   permission  needed to see it, if any
+//   tab         message key of the label of its own tab; without one it
+//               only appears on the Overview
+//   overview    false to keep it off the Overview
+//   sizes       widths it may take on the Overview (from WIDGET_SIZES),
+//               the first being its default
+// and either
+//   useData     a hook returning a useQuery result. It is called with the
+//               widget context ({ dataSource, token, user, hasPermission,
+//               t, locale, formatters }); query keys should include
+//               user.id, as the cache is persisted across sign-ins
+//   render      a component receiving { data, context }, shown in the
+//               standard card (refresh button, loading and error states)
+//               once useData has data
+// or
+//   component   a component rendering the whole panel, for panels with
+//               controls of their own (WidgetCard gives them the same
+//               chrome).
+
+export const WIDGET_SIZES = ['full', 'twoThirds', 'half'];
+
+// Paths already taken by the dashboard itself.
+const RESERVED_IDS = ['overview', 'login'];
+
+const widgets = new Map();
+
+// Ids must be unique. During development a hot-reloaded module registers
+// its widgets again, which replaces them in place.
+export function registerWidget(widget) {
+  const { id } = widget;
+  if (!id) throw new Error('A widget needs an id');
+  if (RESERVED_IDS.includes(id)) throw new Error(`"${id}" is reserved and cannot be used as a widget id`);
+  if (widgets.has(id) && !import.meta.hot) throw new Error(`A widget with id "${id}" is already registered`);
+  if (!widget.title) throw new Error(`Widget ${id} needs a title`);
+  if (!widget.component && !(widget.useData && widget.render)) {
+    throw new Error(`Widget ${id} needs either a component or both useData and render`);
+  }
+  const sizes = widget.sizes ?? WIDGET_SIZES;
+  if (!sizes.length || sizes.some(size => !WIDGET_SIZES.includes(size))) {
+    throw new Error(`Widget ${id} has unsupported sizes: ${sizes.join(', ')}`);
+  }
+  widgets.set(id, { overview: true, ...widget, sizes });
+}
+
+// In registration order.
+export function getWidgets() {
+  return [...widgets.values()];
+}
+
+export function getWidget(id) {
+  return widgets.get(id);
+}
+
+// Widgets offered on the Overview, and the layout each user arranges them
+// in (saved with their preferences).
+export const overviewWidgets = () => getWidgets().filter(widget => widget.overview);
+
+export function overviewWidget(id) {
+  const widget = getWidget(id);
+  return widget?.overview ? widget : undefined;
+}
+
+// Every Overview widget in registration order, at its default size.
+const defaultOverviewLayout = () => overviewWidgets().map(widget => ({ id: widget.id, size: widget.sizes[0] }));
+
+// A saved layout is an ordered list of { id, size } for the panels shown;
+// anything left out is hidden. Panels that no longer exist are dropped and
+// sizes a panel no longer offers fall back to its default.
+export function normalizeOverviewLayout(saved) {
+  if (!Array.isArray(saved)) return defaultOverviewLayout();
+  const seen = new Set();
+  return saved.flatMap(item => {
+    const widget = overviewWidget(item?.id);
+    if (!widget || seen.has(widget.id)) return [];
+    seen.add(widget.id);
+    return [{ id: widget.id, size: widget.sizes.includes(item.size) ? item.size : widget.sizes[0] }];
+  });
+}
+
+// Moves a panel into the place of another, pushing that one (and the rest)
+// along in the direction the panel came from. Without both panels in the
+// layout (moving past either end) it stays as it is.
+export function moveOverviewWidget(layout, id, targetId) {
+  const item = layout.find(entry => entry.id === id);
+  const index = layout.findIndex(entry => entry.id === targetId);
+  if (!item || index === -1) return layout;
+  const next = layout.filter(entry => entry !== item);
+  next.splice(index, 0, item);
+  return next;
+}
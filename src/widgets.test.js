@@ -0,0 +1,79 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { getWidget, getWidgets, moveOverviewWidget, normalizeOverviewLayout, registerWidget } from './widgets.js';
+
+const Panel = () => null;
+
+registerWidget({ id: 'sales', title: 'Sales', component: Panel, sizes: ['full', 'half'] });
+registerWidget({ id: 'users', title: 'Users', component: Panel, sizes: ['half'] });
+registerWidget({ id: 'activity', title: 'Activity', component: Panel });
+registerWidget({ id: 'profile', title: 'Profile', component: Panel, overview: false });
+
+const ids = (layout) => layout.map(item => item.id);
+
+test('registered widgets are listed in order with their defaults filled in', () => {
+  assert.deepEqual(ids(getWidgets()), ['sales', 'users', 'activity', 'profile']);
+  assert.equal(getWidget('activity').overview, true);
+  assert.deepEqual(getWidget('activity').sizes, ['full', 'twoThirds', 'half']);
+  assert.equal(getWidget('missing'), undefined);
+});
+
+test('a second widget with the same id is rejected', () => {
+  assert.throws(() => registerWidget({ id: 'sales', title: 'Other sales', component: Panel }), /already registered/);
+  assert.equal(getWidget('sales').title, 'Sales');
+});
+
+test('widgets without an id, or with a reserved one, are rejected', () => {
+  assert.throws(() => registerWidget({ title: 'Nameless', component: Panel }), /needs an id/);
+  assert.throws(() => registerWidget({ id: 'overview', title: 'Overview', component: Panel }), /reserved/);
+  assert.throws(() => registerWidget({ id: 'login', title: 'Login', component: Panel }), /reserved/);
+});
+
+test('widgets without a title or anything to render are rejected', () => {
+  assert.throws(() => registerWidget({ id: 'untitled', component: Panel }), /needs a title/);
+  assert.throws(() => registerWidget({ id: 'empty', title: 'Empty' }), /component or both useData and render/);
+  assert.throws(() => registerWidget({ id: 'half', title: 'Half', useData: () => ({}) }), /component or both useData and render/);
+});
+
+test('widgets offering unknown or no sizes are rejected', () => {
+  assert.throws(() => registerWidget({ id: 'wide', title: 'Wide', component: Panel, sizes: ['huge'] }), /unsupported sizes/);
+  assert.throws(() => registerWidget({ id: 'sizeless', title: 'Sizeless', component: Panel, sizes: [] }), /unsupported sizes/);
+  assert.deepEqual(ids(getWidgets()), ['sales', 'users', 'activity', 'profile']);
+});
+
+test('without a saved layout every Overview widget shows at its default size', () => {
+  assert.deepEqual(normalizeOverviewLayout(null), [
+    { id: 'sales', size: 'full' },
+    { id: 'users', size: 'half' },
+    { id: 'activity', size: 'full' },
+  ]);
+});
+
+test('unknown, duplicate, missing and off-Overview ids are dropped from a saved layout', () => {
+  const saved = [{ id: 'users' }, { id: 'gone' }, null, { size: 'half' }, { id: 'users' }, { id: 'profile' }, { id: 'sales', size: 'half' }];
+  assert.deepEqual(normalizeOverviewLayout(saved), [
+    { id: 'users', size: 'half' },
+    { id: 'sales', size: 'half' },
+  ]);
+});
+
+test('a size the widget no longer offers falls back to its default', () => {
+  assert.deepEqual(normalizeOverviewLayout([{ id: 'users', size: 'full' }]), [{ id: 'users', size: 'half' }]);
+});
+
+test('an empty saved layout hides everything', () => {
+  assert.deepEqual(normalizeOverviewLayout([]), []);
+});
+
+const layout = normalizeOverviewLayout(null);
+
+test('moving a widget takes the place of the target in either direction', () => {
+  assert.deepEqual(ids(moveOverviewWidget(layout, 'sales', 'users')), ['users', 'sales', 'activity']);
+  assert.deepEqual(ids(moveOverviewWidget(layout, 'activity', 'sales')), ['activity', 'sales', 'users']);
+});
+
+test('moving past either end or moving an unknown widget changes nothing', () => {
+  assert.equal(moveOverviewWidget(layout, 'sales', undefined), layout);
+  assert.equal(moveOverviewWidget(layout, 'activity', null), layout);
+  assert.equal(moveOverviewWidget(layout, 'gone', 'sales'), layout);
+});
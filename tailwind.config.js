@@ -1,12 +1,76 @@
 /** @type {import('tailwindcss').Config} */
+
+// Semantic colors backed by the theme variables in src/index.css.
+const token = (name) => `rgb(var(--color-${name}) / <alpha-value>)`;
+
 export default {
   content: [
     "./src/**/*.{js,jsx,ts,tsx}",  // scan all JS/TS files in src
     "./public/index.html",          // also scan your public HTML file
   ],
   theme: {
-    extend: {},
+    extend: {
+      colors: {
+        surface: {
+          DEFAULT: token('surface'),
+          muted: token('surface-muted'),
+          subtle: token('surface-subtle'),
+          strong: token('surface-strong'),
+        },
+        fg: {
+          DEFAULT: token('fg'),
+          secondary: token('fg-secondary'),
+          muted: token('fg-muted'),
+          subtle: token('fg-subtle'),
+          faint: token('fg-faint'),
+        },
+        line: {
+          DEFAULT: token('line'),
+          strong: token('line-strong'),
+        },
+        accent: {
+          DEFAULT: token('accent'),
+          hover: token('accent-hover'),
+          strong: token('accent-strong'),
+          soft: token('accent-soft'),
+          muted: token('accent-muted'),
+          line: token('accent-line'),
+        },
+        'on-accent': token('on-accent'),
+        focus: token('focus'),
+        success: {
+          DEFAULT: token('success'),
+          hover: token('success-hover'),
+          strong: token('success-strong'),
+          soft: token('success-soft'),
+          line: token('success-line'),
+        },
+        danger: {
+          DEFAULT: token('danger'),
+          hover: token('danger-hover'),
+          strong: token('danger-strong'),
+          soft: token('danger-soft'),
+          line: token('danger-line'),
+        },
+        warning: {
+          DEFAULT: token('warning'),
+          strong: token('warning-strong'),
+          soft: token('warning-soft'),
+          muted: token('warning-muted'),
+          line: token('warning-line'),
+        },
+        highlight: {
+          DEFAULT: token('highlight'),
+          soft: token('highlight-soft'),
+        },
+        tooltip: {
+          DEFAULT: token('tooltip'),
+          fg: token('tooltip-fg'),
+          muted: token('tooltip-muted'),
+        },
+        backdrop: token('backdrop'),
+      },
+    },
   },
   plugins: [],
 }
-